@@ -0,0 +1,208 @@
+import { Readable } from 'node:stream';
+
+// --- LLM PROXY ---
+// Forwards the browser's provider calls so API keys stay on the server: the
+// frontend (in proxy mode) posts to /api/llm/<provider>/<path> without a key,
+// and the proxy adds the key from its environment before calling the provider.
+// Mounted as Vite dev / preview middleware (vite.config.js) or served on its
+// own by server/proxy.mjs.
+//   GET  /api/llm/status                         which providers are usable -> { providers: { gemini, openai } }
+//   POST /api/llm/gemini/models/<model>:(stream)generateContent
+//   POST /api/llm/openai/chat/completions
+// Only these paths are forwarded, so it is not an open relay. Browser calls
+// from other sites are refused: a request with an Origin must be same-origin or
+// in `allowOrigins`, and POSTs must be application/json, which a cross-site page
+// cannot send without a CORS preflight. Requests are rate-limited per client
+// session (the X-LLM-Session header within the client address) with a cap per
+// address, so a fresh header buys no fresh quota, and logged without keys or prompts.
+//
+// Environment:
+//   GEMINI_API_KEY, GEMINI_BASE_URL?             Gemini key / upstream
+//   OPENAI_API_KEY?, OPENAI_BASE_URL?            OpenAI-compatible key / upstream (default: local Ollama)
+//   LLM_PROXY_RATE_LIMIT?                        requests per session per minute (default 30;
+//                                                an address gets ADDRESS_SESSIONS times that)
+
+export const PROXY_PREFIX = '/api/llm';
+export const SESSION_HEADER = 'x-llm-session';
+
+const DEFAULT_RATE_LIMIT = 30;
+const RATE_WINDOW_MS = 60 * 1000;
+// Sessions' worth of requests one client address may make per window (tabs on one machine share it)
+const ADDRESS_SESSIONS = 4;
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+const UPSTREAMS = {
+  gemini: {
+    keyVar: 'GEMINI_API_KEY',
+    baseUrl: env => env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta',
+    allows: path => /^\/models\/[\w.-]+:(generateContent|streamGenerateContent)$/.test(path),
+    authHeaders: key => ({ 'x-goog-api-key': key }),
+    modelOf: (path) => path.match(/^\/models\/([^:]+)/)?.[1],
+  },
+  openai: {
+    keyVar: 'OPENAI_API_KEY',
+    keyOptional: true, // local servers (Ollama, llama.cpp) take no key
+    baseUrl: env => env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+    allows: path => path === '/chat/completions',
+    authHeaders: key => ({ Authorization: `Bearer ${key}` }),
+    modelOf: (path, body) => body?.model,
+  },
+};
+
+// Sliding window per key: at most `limit` hits in any `windowMs`.
+// hit() -> { ok: true } | { ok: false, retryAfter } (seconds)
+export const createRateLimiter = ({ limit, windowMs }) => {
+  const hits = new Map();
+  return {
+    hit: (key, now = Date.now()) => {
+      const recent = (hits.get(key) || []).filter(at => now - at < windowMs);
+      if (recent.length >= limit) {
+        hits.set(key, recent);
+        return { ok: false, retryAfter: Math.ceil((recent[0] + windowMs - now) / 1000) };
+      }
+      hits.set(key, [...recent, now]);
+      // Forget idle sessions now and then
+      if (hits.size > 1000) hits.forEach((times, k) => times.every(at => now - at >= windowMs) && hits.delete(k));
+      return { ok: true };
+    },
+  };
+};
+
+// One line per request: no key, no prompt, no answer
+const logLine = ({ session, provider, model, status, ms, bytes }) =>
+  console.log(`[llm-proxy] ${new Date().toISOString()} session=${session} ${provider}/${model ?? '?'} -> ${status} ${ms}ms ${bytes}B`);
+
+const sendJSON = (res, status, data, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+};
+
+// Errors look like provider errors ({ error: { message } }), so the client classifies them the same way
+const sendError = (res, status, message, headers) => sendJSON(res, status, { error: { message } }, headers);
+
+// An oversized body is not read any further, but the connection is left open so
+// the caller can still answer with a 413 before closing it.
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  const onData = chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      req.off('data', onData);
+      req.pause();
+      reject(new Error(`Request body over ${MAX_BODY_BYTES} bytes`));
+    } else {
+      chunks.push(chunk);
+    }
+  };
+  req.on('data', onData);
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const parseJSON = (buffer) => {
+  try {
+    return JSON.parse(buffer.toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+// A browser's Origin matches the Host it called (the Vite middleware serves the app itself)
+const isSameOrigin = (origin, host) => {
+  try {
+    return !!host && new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+};
+
+const isJSON = (req) => /^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '');
+
+// Connect-style middleware: (req, res, next). Anything outside PROXY_PREFIX goes to next().
+// `allowOrigins` are the cross-origin pages allowed to call it, with CORS headers (the
+// standalone server needs them, the Vite middleware is same-origin).
+export const createLLMProxy = ({ env = process.env, allowOrigins = [], log = logLine } = {}) => {
+  const rateLimit = Number(env.LLM_PROXY_RATE_LIMIT) || DEFAULT_RATE_LIMIT;
+  const sessionLimiter = createRateLimiter({ limit: rateLimit, windowMs: RATE_WINDOW_MS });
+  const addressLimiter = createRateLimiter({ limit: rateLimit * ADDRESS_SESSIONS, windowMs: RATE_WINDOW_MS });
+
+  return async (req, res, next) => {
+    const url = new URL(req.url, 'http://proxy.local');
+    if (!url.pathname.startsWith(`${PROXY_PREFIX}/`)) return next?.();
+
+    const origin = req.headers.origin;
+    if (origin && !allowOrigins.includes(origin) && !isSameOrigin(origin, req.headers.host)) {
+      return sendError(res, 403, `Origin not allowed: ${origin}`);
+    }
+    if (origin && allowOrigins.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Headers', `Content-Type, ${SESSION_HEADER}`);
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Vary', 'Origin');
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      return res.end();
+    }
+
+    const rest = url.pathname.slice(PROXY_PREFIX.length);
+    if (rest === '/status' && req.method === 'GET') {
+      const providers = Object.fromEntries(Object.entries(UPSTREAMS).map(([id, def]) => [id, def.keyOptional || !!env[def.keyVar]]));
+      return sendJSON(res, 200, { providers });
+    }
+
+    const [, provider, ...segments] = rest.split('/');
+    const upstream = UPSTREAMS[provider];
+    const path = `/${segments.join('/')}`;
+    if (!upstream || req.method !== 'POST' || !upstream.allows(path)) return sendError(res, 404, `Not a proxied endpoint: ${req.method} ${url.pathname}`);
+    if (!isJSON(req)) return sendError(res, 415, 'Content-Type must be application/json');
+
+    const key = env[upstream.keyVar];
+    if (!key && !upstream.keyOptional) return sendError(res, 503, `${upstream.keyVar} is not set on the proxy`);
+
+    const address = req.socket.remoteAddress || 'unknown';
+    const session = `${address}/${String(req.headers[SESSION_HEADER] || 'anonymous').slice(0, 64)}`;
+    const limited = [addressLimiter.hit(address), sessionLimiter.hit(session)].find(result => !result.ok);
+    if (limited) {
+      log({ session, provider, model: null, status: 429, ms: 0, bytes: 0 });
+      return sendError(res, 429, `Rate limit: try again in ${limited.retryAfter}s`, { 'Retry-After': String(limited.retryAfter) });
+    }
+
+    const started = Date.now();
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (e) {
+      res.on('finish', () => req.destroy());
+      return sendError(res, 413, e.message, { Connection: 'close' });
+    }
+    const model = upstream.modelOf(path, parseJSON(body));
+
+    // Never forward a key the client put in the query string
+    url.searchParams.delete('key');
+    const abort = new AbortController();
+    res.on('close', () => abort.abort());
+    res.on('finish', () => log({ session, provider, model, status: res.statusCode, ms: Date.now() - started, bytes: body.length }));
+
+    let response;
+    try {
+      response = await fetch(`${upstream.baseUrl(env).replace(/\/$/, '')}${path}${url.search}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(key ? upstream.authHeaders(key) : {}) },
+        body,
+        signal: abort.signal,
+      });
+    } catch (e) {
+      if (e.name === 'AbortError') return;
+      return sendError(res, 502, `Upstream unreachable: ${e.message}`);
+    }
+
+    // Stream the answer through unchanged (SSE for streamed calls)
+    res.writeHead(response.status, { 'Content-Type': response.headers.get('content-type') || 'application/json' });
+    if (!response.body) return res.end();
+    Readable.fromWeb(response.body)
+      .on('error', () => res.destroy())
+      .pipe(res);
+  };
+};
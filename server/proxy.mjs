@@ -0,0 +1,50 @@
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createLLMProxy, PROXY_PREFIX } from './llmProxy.mjs';
+
+// --- STANDALONE LLM PROXY ---
+//   npm run proxy
+// Serves the LLM proxy on its own port, e.g. next to a static build. Point the
+// frontend at it with VITE_LLM_PROXY_URL=http://localhost:8787/api/llm at build time.
+// Reads .env and .env.local from the project root; variables already set in
+// the environment win. Besides the proxy variables (see llmProxy.mjs):
+//   LLM_PROXY_PORT?            default 8787
+//   LLM_PROXY_ALLOW_ORIGINS?   comma-separated origins allowed to call it (default: the Vite dev and preview servers)
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// KEY=value lines; # comments, optional quotes
+const parseEnvFile = (text) => Object.fromEntries(
+  text.split('\n')
+    .map(line => line.trim().match(/^(?:export\s+)?([\w.]+)\s*=\s*(.*)$/))
+    .filter(Boolean)
+    .map(([, key, value]) => [key, value.replace(/^(['"])(.*)\1$/, '$2')])
+);
+
+const loadEnv = () => {
+  const fromFiles = ['.env', '.env.local']
+    .map(name => path.join(ROOT, name))
+    .filter(file => fs.existsSync(file))
+    .reduce((env, file) => ({ ...env, ...parseEnvFile(fs.readFileSync(file, 'utf8')) }), {});
+  return { ...fromFiles, ...process.env };
+};
+
+const env = loadEnv();
+const port = Number(env.LLM_PROXY_PORT) || 8787;
+const allowOrigins = (env.LLM_PROXY_ALLOW_ORIGINS || 'http://localhost:5173,http://localhost:4173')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+const proxy = createLLMProxy({ env, allowOrigins });
+
+http
+  .createServer((req, res) => proxy(req, res, () => {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  }))
+  .listen(port, () => {
+    console.log(`[llm-proxy] listening on http://localhost:${port}${PROXY_PREFIX} (origins: ${allowOrigins.join(', ')})`);
+  });
@@ -1,162 +1,338 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Send, Layers, ArrowUpCircle, X, CheckCircle, AlertCircle, Lock, Play, Settings, Database, FileText, ChevronRight, CornerDownRight } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Send, Layers, ArrowUpCircle, X, CheckCircle, Database, FileText, CornerDownRight, Library, Pencil, Trash2, GitBranch, RotateCcw, Square, Download, FileDown, MessageSquare, Filter, Network, Plus, ListPlus, Command, Route } from 'lucide-react';
+import { PROVIDERS, isProviderReady, generate } from './llm/providers';
+import { describeError } from './llm/errors';
+import { runTurn, repairNotice } from './engines';
+import { actionFirstEngine, buildBudgetedChatPrompt } from './engines/actionFirst';
+import MarkdownMessage from './components/MarkdownMessage';
+import { useStackEditor } from './stack/useStackEditor';
+import { stackReducer, actionFromModel, makeNodeId, normalizeStack, getNode, getActive, getParent, getPath, toTreeOrder } from './stack/stackReducer';
+import { buildSummaryPrompt, needsSummary, threadOf } from './memory/conversationMemory';
+import { makeCacheEntry } from './stack/knowledgeCache';
+import { exportSessionJSON, exportSessionMarkdown, sessionFileName, downloadFile } from './storage/sessionTransfer';
+import GateModal from './gate/GateModal';
+import { makeCard } from './review/srs';
+import { addCard } from './storage/reviewDeck';
+import SourceLibrary from './source/SourceLibrary';
+import MindMap from './graph/MindMap';
+import TimelineBar from './history/TimelineBar';
+import { emptyTimeline, makeSnapshot, recordSnapshot, moveTo } from './history/timeline';
+import { indexSources, migrateSources, retrieveContext } from './source/retrieval';
+import { resolveCitations, groundingPassages } from './source/citations';
+import { loadSession, saveSession, createSession, StorageFullError } from './storage/sessions';
+import { useI18n } from './i18n';
+import { logEvent } from './storage/eventLog';
+import { makeEvent } from './analytics/metrics';
+import { useActivationLog } from './analytics/useActivationLog';
+import { SLASH_COMMANDS, EXPORT_FORMATS, parseSlashCommand, slashSuggestions, commandUsage, buildPaletteItems, findNode, navigationTarget } from './commands/slashCommands';
+import { useWorkspaceShortcuts } from './commands/useWorkspaceShortcuts';
+import CommandPalette from './commands/CommandPalette';
+import SlashHints from './commands/SlashHints';
+import { roadmapProgress, nextPlanned } from './roadmap/roadmap';
+import { useUsageMeter } from './usage/useUsageMeter';
+import UsageMeter from './usage/UsageMeter';
+
+// --- ACTION-FIRST WORKSPACE ---
+// One Action-First session, opened by the shell (which owns the start screen,
+// provider and settings). The shell mounts it with key={sessionId}, so every
+// session starts from a fresh component loaded out of the library.
+export default function RecursiveAgentV4({ sessionId, providerConfig, settings, onExit, onOpenSession }) {
+  const { t } = useI18n();
+  const language = settings.learningLanguage;
 
-// --- V4 PROMPT ENGINEERING: ACTION-FIRST ---
-
-const CHAT_SYSTEM_PROMPT = `
-你是一个 "Recursive Learning Agent" (递归学习助手)。
-你的核心任务是维护用户的 "思维栈 (Stack)" 并回答问题。
-
-**关键协议：Action-First (先行动，后回答)**
-你不能直接回答用户的问题。你必须先分析用户的意图，更新 Stack 状态，然后再生成回答。
-
-**逻辑判断规则：**
-1. **PUSH (下钻/追问)**: 如果用户的问题是关于当前节点的一个具体细节、子概念、或者因为不懂当前概念而发起的追问。 -> 必须生成新的子节点。
-2. **STAY (平行/澄清)**: 如果用户只是让换个说法解释、举例，或者在聊当前节点的同一层级内容。 -> 保持当前节点 Active。
-3. **TRIGGER_GATE (回溯)**: 如果用户说"懂了"、"回到上一层"。 -> 触发 Gate 信号。
-
-**输出格式 (严格遵守):**
-你必须以一个 JSON 代码块开头，然后才是你的回答。
-
-格式示例：
-\`\`\`json
-{
-  "action": "PUSH", // or "STAY", "TRIGGER_GATE"
-  "updated_stack": [ ...完整的 stack 数组... ],
-  "reason": "用户询问了 Q 矩阵的具体计算，属于 Self-Attention 的子细节，因此下钻。"
-}
-\`\`\`
-
-(在 JSON 块结束后，这里开始你的自然语言回答...)
-
-**当前 Stack 结构定义:**
-Stack 是一个对象数组: { id: string, topic: string, level: number, status: "Active" | "Waiting" | "Done" }
-`;
-
-// 验证门控 Prompt (保持不变)
-const GATE_PROMPT = `
-你是一个严格的考官。
-用户试图从 [Child Topic] 回溯到 [Parent Topic]。
-请验证用户的理解。
-输出 JSON: { "approved": boolean, "feedback": string }
-`;
-
-export default function RecursiveAgentV4() {
   // --- State ---
-  const [apiKey, setApiKey] = useState('');
-  const [goal, setGoal] = useState('');
-  const [isStarted, setIsStarted] = useState(false);
+  const [saved] = useState(() => loadSession(sessionId));
+  const goal = saved.goal;
+  const sessionTitle = saved.title;
   
-  const [messages, setMessages] = useState([]);
+  const [messages, setMessages] = useState(() => saved.messages || []);
   const [input, setInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [saveError, setSaveError] = useState(''); // why the last auto-save failed (storage full...), shown above the chat
+  const [threadFilter, setThreadFilter] = useState(null); // nodeId whose thread the chat is filtered to
   
   // The Stack State (Now managed as a pure JS object, not raw markdown text)
-  const [stack, setStack] = useState([]); 
-  const [sourceText, setSourceText] = useState('');
+  const [stack, setStack] = useState(() => normalizeStack(saved.stack)); 
+  const [cache, setCache] = useState(() => saved.cache || []); // Knowledge Cache: approved gate syntheses
+  const [sources, setSources] = useState(() => migrateSources(saved, t('source.pastedDefault'))); // Source library: [{ id, name, kind, text, addedAt }]
+  const [lastRetrieved, setLastRetrieved] = useState([]); // chunks sent with the last prompt
+  const [sourceFocus, setSourceFocus] = useState(null); // passage to highlight in the Source tab
+  const sourceIndex = useMemo(() => indexSources(sources), [sources]);
   const [activeTab, setActiveTab] = useState('stack');
 
   // Modal State
   const [isModalOpen, setIsModalOpen] = useState(false);
-  const [gateData, setGateData] = useState(null); // { child, parent }
-  const [synthesisInput, setSynthesisInput] = useState('');
-  const [isVerifying, setIsVerifying] = useState(false);
-  const [verificationResult, setVerificationResult] = useState(null);
+  const [gateData, setGateData] = useState(null); // { child, parent, remaining } — remaining: further levels to pop after this one
+  const [pendingGate, setPendingGate] = useState(null); // { levels } offered by a TRIGGER_GATE in 'ask' mode
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
 
   const messagesEndRef = useRef(null);
+  const inputRef = useRef(null);
+  const abortRef = useRef(null); // AbortController of the in-flight chat request
+  const summarizingRef = useRef(new Set()); // nodeIds with a summary request in flight
+  const stackRef = useRef(stack); // latest stack, for handlers that finish after an await (a summary may land meanwhile)
+  const deferredGateRef = useRef(null); // levels of a gate the model triggered mid-reply, opened once it has finished
+
+  // Time Travel
+  const [timeline, setTimeline] = useState(emptyTimeline);
+  const snapshotLabelRef = useRef(t(saved.messages?.length > 1 ? 'snapshot.opened' : 'snapshot.started')); // label of the change waiting to be snapshotted
 
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
-  // --- Initializer ---
-  const handleStart = () => {
-    if (!goal.trim()) return;
-    const rootNode = { id: 'root', topic: goal, level: 0, status: 'Active' };
-    setStack([rootNode]);
-    setIsStarted(true);
-    addMessage('system', `深度学习流已启动。目标：${goal}。请提出第一个问题。`);
+  useEffect(() => {
+    stackRef.current = stack;
+  }, [stack]);
+
+  // --- Analytics: node activations here, model actions and gate answers where they happen ---
+  useActivationLog(sessionId, stack);
+
+  // --- Token usage: every model call below goes through the metered config ---
+  const meter = useUsageMeter(sessionId, providerConfig);
+
+  // --- Rolling summaries: after each reply, fold long threads (and the thread we just left) into node summaries ---
+  useEffect(() => {
+    if (isLoading || !isProviderReady(providerConfig)) return;
+    const active = getActive(stack);
+    if (!active) return;
+    if (needsSummary(active, messages)) summarizeNode(active, messages);
+    const parent = getParent(stack, active);
+    if (needsSummary(parent, messages, { force: true })) summarizeNode(parent, messages);
+  }, [isLoading]);
+
+  // --- Gate: a TRIGGER_GATE in 'auto' mode opens once the reply has finished, on the settled stack ---
+  useEffect(() => {
+    if (isLoading || !deferredGateRef.current) return;
+    const levels = deferredGateRef.current;
+    deferredGateRef.current = null;
+    openGate(stack, levels);
+  }, [isLoading]);
+
+  // --- Snapshots: once a labelled change has settled (reply finished streaming), record it ---
+  useEffect(() => {
+    if (isLoading || !snapshotLabelRef.current) return;
+    const label = snapshotLabelRef.current;
+    snapshotLabelRef.current = null;
+    setTimeline(prev => recordSnapshot(prev, makeSnapshot(label, { stack, cache, messages })));
+  }, [isLoading, stack, cache, messages]);
+
+  // --- Auto-save: every change to the working state is persisted to the library ---
+  // (skipped while a reply is streaming; the finished reply is saved in one go)
+  useEffect(() => {
+    if (isLoading) return;
+    try {
+      saveSession({ ...loadSession(sessionId), stack, cache, messages, sources });
+      setSaveError('');
+    } catch (e) {
+      // Reported, never rethrown: an effect that throws would unmount the workspace
+      setSaveError(e instanceof StorageFullError ? t('storage.full') : t('storage.saveFailed', { message: e.message }));
+    }
+  }, [sessionId, isLoading, stack, cache, messages, sources]);
+
+  // Source documents are the bulk of a session: a library change is saved before it is
+  // applied, so one that does not fit is refused (SourceLibrary shows why) instead of lost
+  const handleSourcesChange = (next) => {
+    saveSession({ ...loadSession(sessionId), stack, cache, messages, sources: next });
+    setSources(next);
+  };
+
+  const handleExport = (format) => {
+    const session = { title: sessionTitle, goal, mode: actionFirstEngine.id, stack, cache, messages, sources };
+    if (format === 'json') downloadFile(sessionFileName(session, 'json'), exportSessionJSON(session), 'application/json');
+    else downloadFile(sessionFileName(session, 'md'), exportSessionMarkdown(session), 'text/markdown');
   };
 
-  const addMessage = (role, text) => {
-    setMessages(prev => [...prev, { role, text }]);
+  // Every message is tagged with the node it belongs to (the Active node unless told otherwise)
+  const addMessage = (role, text, extra = {}) => {
+    const id = `m-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    setMessages(prev => [...prev, { id, role, text, nodeId: getActive(stack)?.id ?? null, ...extra }]);
+    return id;
+  };
+
+  const updateMessage = (id, patch) => {
+    setMessages(prev => prev.map(m => (m.id === id ? { ...m, ...patch } : m)));
   };
 
   // --- Core Logic: Chat & Action Parsing ---
-  const handleSend = async () => {
-    if (!input.trim() || isLoading || !apiKey) return;
+  // A slash command runs directly; anything else goes to the model
+  const handleSend = () => {
+    if (!input.trim() || isLoading) return;
+    const command = parseSlashCommand(input, SLASH_COMMANDS);
+    if (command) {
+      setInput('');
+      runCommand(command);
+      return;
+    }
+    sendMessage(input);
+  };
+
+  // `forcedAction` (from /stay) replaces whatever action the model proposes
+  const sendMessage = async (userMsg, { forcedAction } = {}) => {
+    if (!isProviderReady(providerConfig)) return;
 
-    const userMsg = input;
     setInput('');
-    addMessage('user', userMsg);
+    const userMsgId = addMessage('user', userMsg);
     setIsLoading(true);
+    setPendingGate(null);
+    deferredGateRef.current = null;
+    snapshotLabelRef.current = t('snapshot.chatTurn');
 
-    try {
-      // 1. Construct Prompt
-      const fullPrompt = `
-${CHAT_SYSTEM_PROMPT}
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const replyId = addMessage('assistant', '', { streaming: true });
 
-**当前 Stack 状态 (JSON):**
-${JSON.stringify(stack, null, 2)}
+    try {
+      // 1. Retrieve the source chunks relevant to the active branch and the question
+      const activeNode = getActive(stack);
+      const retrieved = retrieveContext(sourceIndex, {
+        question: userMsg,
+        pathTopics: activeNode ? getPath(stack, activeNode.id).map(n => n.topic) : [],
+      });
 
-**原文锚定 (Source Context):**
-${sourceText ? sourceText.substring(0, 2000) : "无"}
+      // 2. Construct Prompt, trimmed to the prompt budget (it may drop some of the retrieved chunks)
+      const built = buildBudgetedChatPrompt({
+        budget: settings.promptBudget,
+        stack,
+        messages,
+        historyBudget: settings.historyBudget,
+        cache,
+        retrieved,
+        userMsg,
+        language,
+        forcedAction,
+      });
+      const { prompt: fullPrompt, retrieved: sent } = built;
+      setLastRetrieved(sent);
+      meter.notePrompt(built);
+
+      // 3. Run the "Action-First" turn
+      // Logic: the leading JSON block is applied to the stack as soon as it closes and
+      // passes the schema, everything else streams into the reply bubble token by token
+      const applyAction = (proposed) => {
+        console.log("AI Action Decision:", proposed); // Debug log
+        const actionData = forcedAction ? { ...proposed, action: forcedAction, topic: undefined, levels: undefined } : proposed;
+
+        // A. Apply the proposed action through the reducer (PUSH / STAY / TRIGGER_GATE)
+        let { stack: nextStack, error } = stackReducer(stack, actionFromModel(actionData));
+        snapshotLabelRef.current = t('snapshot.model', { action: `${actionData.action}${actionData.topic ? ` "${actionData.topic}"` : ''}` }) + (error ? ` ${t('snapshot.rejected')}` : '');
+        logEvent(makeEvent('action', sessionId, {
+          action: actionData.action.toUpperCase(),
+          topic: actionData.topic ?? null,
+          nodeId: activeNode?.id ?? null,
+          path: activeNode ? getPath(stack, activeNode.id).map(n => n.id) : [],
+          rejected: !!error,
+        }));
+        if (error) {
+          addMessage('system', t('system.rejectedTransition', { action: actionData.action, error }));
+          nextStack = stack;
+        }
 
-**用户输入:**
-${userMsg}
-      `;
+        // The reply belongs to the node it explains; a question that opened a new branch moves with it
+        const explained = getActive(nextStack);
+        updateMessage(replyId, { nodeId: explained?.id });
+        if (explained && explained.id !== activeNode?.id) updateMessage(userMsgId, { nodeId: explained.id });
+
+        // Citations: locate each quote in the source and ground the node being explained in it
+        const citations = resolveCitations(actionData.citations, sent, sources);
+        if (citations.length) {
+          updateMessage(replyId, { citations });
+          const grounded = stackReducer(nextStack, { type: 'GROUND', id: explained?.id, passages: groundingPassages(citations) });
+          if (!grounded.error) nextStack = grounded.stack;
+        }
+        setStack(nextStack);
 
-      // 2. Call API
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ contents: [{ parts: [{ text: fullPrompt }] }] })
+        // B. Handle Gate Trigger (on the stack the action produced)
+        if (!error && actionData.action.toUpperCase() === 'TRIGGER_GATE') {
+           handleGateIntent(nextStack, actionData.levels || 1);
+        }
+      };
+
+      // 4. Call API (a missing or malformed action block is repaired on its own; the answer text stays)
+      await runTurn(actionFirstEngine, meter.config, {
+        prompt: fullPrompt,
+        meta: { kind: 'chat', userMsg, stack, retrieved: sent },
+        signal: controller.signal,
+        language,
+        onText: text => updateMessage(replyId, { text }),
+        onState: applyAction,
+        onRepair: (attempt, errors) => addMessage('system', repairNotice(actionFirstEngine, attempt, errors, t)),
       });
 
-      const data = await response.json();
-      const rawText = data.candidates?.[0]?.content?.parts?.[0]?.text || "";
+    } catch (e) {
+      // A stopped request keeps whatever the stack reducer already accepted
+      if (e.name === 'AbortError') addMessage('system', t('system.stopped'));
+      else addMessage('system', describeError(e, t));
+    } finally {
+      setMessages(prev => prev
+        .filter(m => m.id !== replyId || m.text)
+        .map(m => (m.id === replyId ? { ...m, streaming: false } : m)));
+      abortRef.current = null;
+      setIsLoading(false);
+    }
+  };
 
-      // 3. Parse "Action-First" Response
-      // Logic: Extract the first JSON block for State, use the rest for Chat
-      const jsonMatch = rawText.match(/```json([\s\S]*?)```/);
-      
-      let chatContent = rawText;
-
-      if (jsonMatch) {
-        try {
-          const actionData = JSON.parse(jsonMatch[1]);
-          console.log("AI Action Decision:", actionData); // Debug log
-
-          // A. Handle Stack Update (PUSH / STAY)
-          if (actionData.updated_stack && Array.isArray(actionData.updated_stack)) {
-            setStack(actionData.updated_stack);
-          }
-
-          // B. Handle Gate Trigger
-          if (actionData.action === 'TRIGGER_GATE') {
-             // Find active node and its parent
-             const activeNode = stack.find(n => n.status === 'Active');
-             if (activeNode && activeNode.level > 0) {
-                const parentNode = stack.find(n => n.level === activeNode.level - 1); // Simplistic parent finding
-                // We should actually trigger the modal manually here or add a system message
-                addMessage('system', '检测到回溯意图。请点击右侧父节点进行验证，或继续提问。');
-             }
-          }
-
-          // Clean up chat content (remove the JSON block)
-          chatContent = rawText.replace(jsonMatch[0], '').trim();
-
-        } catch (e) {
-          console.error("JSON Parse Error", e);
-        }
-      }
+  const handleStop = () => {
+    abortRef.current?.abort();
+  };
 
-      addMessage('assistant', chatContent);
+  // Jump to a cited passage in the Source tab
+  const handleCite = (passage) => {
+    if (passage.start === null || !sources.some(doc => doc.id === passage.docId)) return;
+    setActiveTab('source');
+    setSourceFocus({ docId: passage.docId, start: passage.start, end: passage.end, at: Date.now() });
+  };
 
+  // --- Logic: Rolling Summary of a node's thread ---
+  const summarizeNode = async (node, currentMessages) => {
+    if (summarizingRef.current.has(node.id)) return;
+    summarizingRef.current.add(node.id);
+    const covered = threadOf(currentMessages, node.id).length;
+    try {
+      const text = await generate(meter.config, {
+        prompt: buildSummaryPrompt(node, currentMessages, language),
+        meta: { kind: 'summary', node }
+      });
+      setStack(prev => {
+        const { stack: next, error } = stackReducer(prev, { type: 'SUMMARIZE', id: node.id, summary: { text: text.trim(), covered } });
+        return error ? prev : next;
+      });
     } catch (e) {
-      addMessage('system', `Error: ${e.message}`);
+      // Without the summary, what falls out of the history budget is simply lost: say so
+      addMessage('system', t('system.summaryFailed', { topic: node.topic, error: describeError(e, t) }));
     } finally {
-      setIsLoading(false);
+      summarizingRef.current.delete(node.id);
+    }
+  };
+
+  // --- Logic: Gate Flow ---
+  // Open the gate on the Active node; `levels` > 1 chains further gates up the path once each one passes.
+  // Never while a reply is streaming: its action could still move the stack under the gate.
+  const openGate = (currentStack, levels = 1) => {
+    if (isLoading) return false;
+    const child = getActive(currentStack);
+    const parent = getParent(currentStack, child);
+    if (!parent) return false;
+    const depth = getPath(currentStack, child.id).length - 1;
+    setGateData({ child, parent, remaining: Math.min(levels, depth) - 1 });
+    setIsModalOpen(true);
+    setPendingGate(null);
+    return true;
+  };
+
+  // The model detected a "got it, back up" intent (arrives mid-reply, with the stack its action produced)
+  const handleGateIntent = (currentStack, levels) => {
+    const activeNode = getActive(currentStack);
+    if (!activeNode?.parentId) return;
+    const ancestors = getPath(currentStack, activeNode.id).slice(0, -1);
+    const target = ancestors[Math.max(0, ancestors.length - levels)];
+
+    if (settings.gateMode === 'auto') {
+      deferredGateRef.current = levels;
+    } else if (settings.gateMode === 'ask') {
+      setPendingGate({ levels, target: target.topic });
+    } else {
+      addMessage('system', t('system.backtrackHint', { target: target.topic }));
     }
   };
 
@@ -164,120 +340,319 @@ ${userMsg}
   const handleNodeClick = (node) => {
     // Logic: User clicked a node. 
     // If it is the PARENT of the currently Active node, trigger Gate.
-    const activeNode = stack.find(n => n.status === 'Active');
+    const activeNode = getActive(stack);
     
     if (!activeNode) return;
     
-    // Check if clicked node is immediate parent (level check + logic)
-    // For this simple tree, we assume parent is the last node with level = active.level - 1
-    if (node.level === activeNode.level - 1) {
-       setGateData({ child: activeNode, parent: node });
-       setIsModalOpen(true);
-       setVerificationResult(null);
-       setSynthesisInput('');
-    }
+    if (node.id === activeNode.parentId) openGate(stack);
   };
 
-  // --- Logic: Verify & Pop ---
-  const handleVerification = async () => {
-    if (!synthesisInput || isVerifying) return;
-    setIsVerifying(true);
+  // Graph tab: a parent of the Active node starts the gate, any other node opens its thread
+  const handleGraphNodeClick = (node) => {
+    const activeNode = getActive(stack);
+    if (activeNode && node.id === activeNode.parentId) openGate(stack);
+    else setThreadFilter(node.id);
+  };
 
-    try {
-      const prompt = `
-${GATE_PROMPT}
-Context: Child "${gateData.child.topic}" -> Parent "${gateData.parent.topic}"
-User Synthesis: "${synthesisInput}"
-Return JSON only.
-      `;
-
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-            contents: [{ parts: [{ text: prompt }] }],
-            generationConfig: { responseMimeType: "application/json" }
-        })
-      });
+  // --- Logic: Manual Editing (rename / add / move / delete / activate, all through the reducer) ---
+  const applyManualAction = (action, successMessage) => {
+    if (isLoading) return false; // a reply in flight would overwrite the edit
+    const { stack: nextStack, error } = stackReducer(stack, action);
+    if (error) {
+      addMessage('system', t('system.rejectedTransition', { action: action.type, error }));
+      return false;
+    }
+    setStack(nextStack);
+    addMessage('system', successMessage);
+    snapshotLabelRef.current = t('snapshot.manual', { description: successMessage });
+    return true;
+  };
 
-      const data = await response.json();
-      const result = JSON.parse(data.candidates[0].content.parts[0].text);
-      setVerificationResult(result);
-
-      if (result.approved) {
-        // EXECUTE POP LOGIC
-        const newStack = stack.filter(n => n.id !== gateData.child.id); // Remove child
-        // Reactivate parent
-        const parentIndex = newStack.findIndex(n => n.id === gateData.parent.id);
-        if (parentIndex >= 0) newStack[parentIndex].status = 'Active';
-        
-        setStack(newStack);
-        
-        setTimeout(() => {
-          setIsModalOpen(false);
-          addMessage('system', `✅ 验证通过。思维栈已回溯至: ${gateData.parent.topic}`);
-        }, 1500);
+  const editor = useStackEditor(stack, applyManualAction);
+
+  // --- Logic: Slash Commands, Palette & Shortcuts (explicit operations, no intent classification) ---
+  const runCommand = ({ command, arg, name, error }) => {
+    if (error === 'unknown') addMessage('system', t('system.unknownCommand', { name }));
+    else if (error === 'unavailable') addMessage('system', t('system.commandUnavailable', { name }));
+    else if (error === 'missingArg') addMessage('system', t('system.commandUsage', { usage: commandUsage(command, t) }));
+    if (error) return;
+
+    const activeNode = getActive(stack);
+    switch (command.name) {
+      case 'push': {
+        const pushed = applyManualAction({ type: 'PUSH', id: makeNodeId(), topic: arg }, t('system.pushed', { topic: arg }));
+        if (pushed) {
+          logEvent(makeEvent('action', sessionId, {
+            action: 'PUSH', topic: arg, nodeId: activeNode?.id ?? null, path: activeNode ? getPath(stack, activeNode.id).map(n => n.id) : [], rejected: false, command: true,
+          }));
+        }
+        break;
+      }
+      // A real POP (the node is marked Done) that skips the gate; logged so analytics can tell
+      case 'pop': {
+        const parent = getParent(stack, activeNode);
+        if (!parent) {
+          addMessage('system', t('system.noParent'));
+          break;
+        }
+        const popped = applyManualAction({ type: 'POP', id: activeNode.id }, t('system.popped', { topic: parent.topic }));
+        if (popped) {
+          logEvent(makeEvent('action', sessionId, {
+            action: 'POP', topic: activeNode.topic, nodeId: activeNode.id, path: getPath(stack, activeNode.id).map(n => n.id), rejected: false, command: true,
+          }));
+        }
+        break;
       }
+      case 'gate':
+        if (!getParent(stack, activeNode)) addMessage('system', t('system.noParent'));
+        else openGate(stack);
+        break;
+      case 'stay':
+        sendMessage(arg, { forcedAction: 'STAY' });
+        break;
+      case 'source':
+        setActiveTab('source');
+        break;
+      case 'goto': {
+        const node = findNode(stack, arg);
+        if (node) editor.activate(node);
+        else addMessage('system', t('system.nodeNotFound', { query: arg }));
+        break;
+      }
+      case 'export': {
+        const format = arg.toLowerCase() || 'json';
+        if (EXPORT_FORMATS.includes(format)) handleExport(format);
+        else addMessage('system', t('system.commandUsage', { usage: commandUsage(command, t) }));
+        break;
+      }
+    }
+  };
 
-    } catch(e) {
-      alert(e.message);
-    } finally {
-      setIsVerifying(false);
+  const prefillInput = (text) => {
+    setInput(text);
+    inputRef.current?.focus();
+  };
+
+  const slashHints = slashSuggestions(input, SLASH_COMMANDS);
+
+  const handleInputKeyDown = (e) => {
+    if (e.key === 'Enter') handleSend();
+    if (e.key === 'Tab' && slashHints.length) {
+      e.preventDefault();
+      prefillInput(`/${slashHints[0].name} `);
+    }
+  };
+
+  useWorkspaceShortcuts({
+    onPalette: () => setIsPaletteOpen(open => !open),
+    onNavigate: (direction) => {
+      const node = navigationTarget(stack, direction);
+      if (node && !isModalOpen) editor.activate(node);
+    },
+  });
+
+  const handleNewSibling = (node) => {
+    const topic = prompt(t('editor.promptNewBranch', { topic: node.topic }));
+    if (!topic?.trim()) return;
+    applyManualAction({ type: 'PUSH_SIBLING', id: makeNodeId(), topic }, t('system.newSibling', { topic: topic.trim() }));
+  };
+
+  // --- Logic: Socratic Gate (record every graded answer, pop on the last pass) ---
+  const logGateAnswer = (entry, approved) => {
+    logEvent(makeEvent('gate', sessionId, {
+      nodeId: gateData.child.id,
+      topic: gateData.child.topic,
+      parentTopic: gateData.parent.topic,
+      attemptId: entry.attemptId,
+      questionIndex: entry.questionIndex,
+      passed: !!entry.passed,
+      approved,
+    }, entry.at));
+  };
+
+  const handleGateRecord = (entry) => {
+    logGateAnswer(entry, false);
+    setStack(prev => {
+      const { stack: next, error } = stackReducer(prev, { type: 'RECORD_GATE', id: gateData.child.id, entry });
+      return error ? prev : next;
+    });
+  };
+
+  // Called once the final answer is graded: works on the latest stack. The modal stays
+  // open on the result; handleGateContinue moves on from the stack this POP produced
+  const handleGatePassed = ({ entry, synthesis, feedback }) => {
+    const { child, parent } = gateData;
+    logGateAnswer(entry, true);
+    const { stack: recorded } = stackReducer(stackRef.current, { type: 'RECORD_GATE', id: child.id, entry });
+    const { stack: newStack, error } = stackReducer(recorded, { type: 'POP', id: child.id });
+    if (error) {
+      addMessage('system', t('system.rejectedTransition', { action: 'POP', error }));
+      return;
+    }
+    stackRef.current = newStack;
+    setStack(newStack);
+    setCache(prev => [...prev, makeCacheEntry({ child, parent, synthesis, feedback })]);
+    addCard(makeCard({ sessionId, node: child, parent, synthesis }));
+    addMessage('system', t('system.gatePassed', { topic: parent.topic }));
+    snapshotLabelRef.current = t('snapshot.gatePopped', { topic: child.topic });
+  };
+
+  // The learner has read the final grade: close, or (cascading pop) let the parent face its own gate
+  const handleGateContinue = () => {
+    if (!(gateData.remaining > 0 && openGate(stackRef.current, gateData.remaining))) setIsModalOpen(false);
+  };
+
+  // --- Logic: Time Travel (undo / redo / restore / fork) ---
+  const handleRestoreSnapshot = (index) => {
+    const next = moveTo(timeline, index);
+    const snapshot = next.entries[next.index];
+    setStack(snapshot.stack);
+    setCache(snapshot.cache);
+    setMessages(snapshot.messages);
+    setTimeline(next);
+    setPendingGate(null);
+    setIsModalOpen(false);
+    if (threadFilter && !snapshot.stack.some(n => n.id === threadFilter)) setThreadFilter(null);
+  };
+
+  const handleForkSnapshot = (index) => {
+    const snapshot = timeline.entries[index];
+    try {
+      const fork = createSession({
+        title: t('timeline.forkTitle', { title: sessionTitle }),
+        goal,
+        mode: actionFirstEngine.id,
+        stack: snapshot.stack,
+        cache: snapshot.cache,
+        messages: snapshot.messages,
+        sources,
+      });
+      onOpenSession(fork.id);
+    } catch (e) {
+      if (!(e instanceof StorageFullError)) throw e;
+      addMessage('system', t('storage.full'));
     }
   };
 
   // --- Rendering Helpers ---
 
   const renderStack = () => {
-    if (stack.length === 0) return <div className="text-slate-500 text-xs text-center mt-10">Waiting for initialization...</div>;
+    if (stack.length === 0) return <div className="text-slate-500 text-xs text-center mt-10">{t('common.waitingForInit')}</div>;
 
-    // Find active index to determine relationship
-    const activeIndex = stack.findIndex(n => n.status === 'Active');
-    const activeNode = stack[activeIndex];
+    // The live recursion path (root -> Active) is highlighted; other branches are dimmed
+    const activeNode = getActive(stack);
+    const pathIds = new Set(activeNode ? getPath(stack, activeNode.id).map(n => n.id) : []);
+    const progress = roadmapProgress(stack);
+    const next = nextPlanned(stack);
 
     return (
       <div className="space-y-2 relative">
+         {/* Roadmap Progress */}
+         {progress && (
+           <div className="p-2 mb-3 rounded-lg border border-slate-800 bg-slate-900">
+             <div className="flex justify-between text-[10px] font-mono text-slate-400 mb-1">
+               <span className="flex items-center gap-1"><Route size={10}/> {t('roadmap.progress', progress)}</span>
+               {next && <span className="truncate ml-2" title={next.topic}>{t('roadmap.next', { topic: next.topic })}</span>}
+             </div>
+             <div className="h-1.5 bg-slate-800 rounded">
+               <div className="h-1.5 rounded bg-emerald-500 transition-all" style={{ width: `${(progress.done / progress.total) * 100}%` }}></div>
+             </div>
+           </div>
+         )}
+
          {/* Connector Line */}
          <div className="absolute left-[19px] top-4 bottom-4 w-0.5 bg-slate-800 -z-10"></div>
 
-         {stack.map((node, idx) => {
+         {toTreeOrder(stack).map((node) => {
            const isActive = node.status === 'Active';
-           const isParent = activeNode && node.level === activeNode.level - 1;
+           const isDone = node.status === 'Done';
+           const isParent = activeNode && node.id === activeNode.parentId;
+           const onPath = pathIds.has(node.id);
+           const dropHint = editor.dropHint(node);
            
            return (
              <div 
-               key={idx}
+               key={node.id}
+               {...editor.dragProps(node)}
                onClick={() => isParent && handleNodeClick(node)}
                className={`
-                 relative flex items-center p-3 rounded-lg transition-all duration-300 border
+                 group relative flex items-center p-3 rounded-lg transition-all duration-300 border
+                 ${dropHint === 'before' ? 'border-t-2 !border-t-indigo-400' : dropHint === 'inside' ? 'ring-2 ring-indigo-400' : ''}
                  ${isActive ? 'bg-indigo-600/20 border-indigo-500 shadow-[0_0_15px_rgba(99,102,241,0.2)] ml-4' : 
                    isParent ? 'bg-slate-800 border-slate-700 cursor-pointer hover:border-emerald-500 hover:bg-slate-700 ml-0 opacity-80' : 
+                   isDone ? 'bg-emerald-950/30 border-emerald-900/50 ml-0 opacity-60' :
+                   onPath ? 'bg-slate-900 border-slate-700 ml-0 opacity-70' :
                    'bg-slate-900 border-slate-800 ml-0 opacity-40 grayscale'}
                `}
                style={{ marginLeft: `${node.level * 20}px` }}
              >
                {/* Icon */}
-               <div className={`mr-3 p-1.5 rounded-full ${isActive ? 'bg-indigo-500 text-white' : 'bg-slate-700 text-slate-400'}`}>
-                 {isActive ? <CornerDownRight size={14}/> : <Layers size={14}/>}
+               <div className={`mr-3 p-1.5 rounded-full ${isActive ? 'bg-indigo-500 text-white' : isDone ? 'bg-emerald-800 text-emerald-300' : 'bg-slate-700 text-slate-400'}`}>
+                 {isActive ? <CornerDownRight size={14}/> : isDone ? <CheckCircle size={14}/> : <Layers size={14}/>}
                </div>
 
                {/* Content */}
                <div className="flex-1 min-w-0">
                  <div className="flex justify-between items-baseline">
-                   <span className="text-[10px] text-slate-500 font-mono uppercase">Lvl {node.level}</span>
-                   {isActive && <span className="text-[9px] bg-indigo-500 text-white px-1.5 rounded animate-pulse">CURRENT</span>}
-                 </div>
-                 <div className={`text-sm font-bold truncate ${isActive ? 'text-white' : 'text-slate-300'}`}>
-                   {node.topic}
+                   <span className="text-[10px] text-slate-500 font-mono uppercase">
+                     {t('console.level', { n: node.level })}{isDone && ` · ${t('console.done')}`}
+                     {node.plan && <span title={t('roadmap.planned', node.plan)} className="ml-1 normal-case text-sky-400/80">#{node.plan.order} {'★'.repeat(node.plan.difficulty)}</span>}
+                   </span>
+                   {isActive && <span className="text-[9px] bg-indigo-500 text-white px-1.5 rounded animate-pulse">{t('common.current')}</span>}
                  </div>
+                 {editor.editingId === node.id ? (
+                   <input {...editor.renameInputProps} className="w-full bg-slate-950 border border-indigo-500 rounded px-1.5 py-0.5 text-sm font-bold text-white outline-none"/>
+                 ) : (
+                   <div onDoubleClick={(e) => { e.stopPropagation(); editor.startRename(node); }} className={`text-sm font-bold truncate ${isActive ? 'text-white' : 'text-slate-300'}`}>
+                     {node.topic}
+                   </div>
+                 )}
+                 {node.grounding?.length > 0 && (
+                   <button
+                     title={t('console.grounded', { n: node.grounding.length })}
+                     onClick={(e) => { e.stopPropagation(); handleCite(node.grounding[0]); }}
+                     className="mt-1 text-[10px] text-emerald-400/80 hover:text-emerald-300 flex items-center gap-1"
+                   >
+                     <FileText size={10}/> {t('console.passages', { n: node.grounding.length })}
+                   </button>
+                 )}
                </div>
 
                {/* Hover Action for Parent */}
                {isParent && (
-                 <div className="absolute right-2 text-emerald-400 animate-bounce">
+                 <div className="ml-2 text-emerald-400 animate-bounce">
                    <ArrowUpCircle size={18} />
                  </div>
                )}
+
+               {/* Thread Filter */}
+               <button title={t('console.showThread')} onClick={(e) => { e.stopPropagation(); setThreadFilter(threadFilter === node.id ? null : node.id); }} className={`ml-2 p-1 hover:text-indigo-300 ${threadFilter === node.id ? 'text-indigo-300' : 'text-slate-400 opacity-0 group-hover:opacity-100 transition-opacity'}`}>
+                 <MessageSquare size={14}/>
+               </button>
+
+               {/* Branch Actions */}
+               {isActive && node.parentId && (
+                 <button title={t('console.startSibling')} onClick={(e) => { e.stopPropagation(); handleNewSibling(node); }} className="ml-2 p-1 text-slate-400 hover:text-indigo-300">
+                   <GitBranch size={14}/>
+                 </button>
+               )}
+               {!isActive && (
+                 <button title={t('editor.activate')} onClick={(e) => { e.stopPropagation(); editor.activate(node); }} className="ml-2 p-1 text-slate-400 hover:text-indigo-300 opacity-0 group-hover:opacity-100 transition-opacity">
+                   <RotateCcw size={14}/>
+                 </button>
+               )}
+
+               {/* Edit Actions (drag the row to reorder / re-parent) */}
+               <div className="flex opacity-0 group-hover:opacity-100 transition-opacity">
+                 <button title={t('common.rename')} onClick={(e) => { e.stopPropagation(); editor.startRename(node); }} className="ml-1 p-1 text-slate-400 hover:text-indigo-300"><Pencil size={14}/></button>
+                 <button title={t('editor.addChild')} onClick={(e) => { e.stopPropagation(); editor.addChild(node); }} className="ml-1 p-1 text-slate-400 hover:text-indigo-300"><Plus size={14}/></button>
+                 {node.parentId && (
+                   <>
+                     <button title={t('editor.addSibling')} onClick={(e) => { e.stopPropagation(); editor.addSibling(node); }} className="ml-1 p-1 text-slate-400 hover:text-indigo-300"><ListPlus size={14}/></button>
+                     <button title={t('editor.deleteBranch')} onClick={(e) => { e.stopPropagation(); editor.remove(node); }} className="ml-1 p-1 text-slate-400 hover:text-red-400"><Trash2 size={14}/></button>
+                   </>
+                 )}
+               </div>
              </div>
            );
          })}
@@ -285,29 +660,25 @@ Return JSON only.
     );
   };
 
-  if (!isStarted) {
+  const renderCache = () => {
+    if (cache.length === 0) return <div className="text-slate-500 text-xs text-center mt-10">{t('console.cacheEmpty')}</div>;
+
     return (
-      <div className="min-h-screen bg-slate-950 text-slate-200 flex items-center justify-center p-4 font-sans">
-        <div className="max-w-md w-full bg-slate-900 p-8 rounded-xl border border-slate-800 shadow-2xl">
-          <div className="flex items-center gap-3 mb-6 text-indigo-400">
-            <Settings size={32} />
-            <h1 className="text-2xl font-bold">DeepFlow V4</h1>
-          </div>
-          <div className="space-y-4">
-             <div>
-                <label className="text-xs font-bold text-slate-500 uppercase">API Key</label>
-                <input type="password" value={apiKey} onChange={e=>setApiKey(e.target.value)} className="w-full bg-slate-800 border border-slate-700 rounded p-2 text-sm focus:border-indigo-500 outline-none"/>
-             </div>
-             <div>
-                <label className="text-xs font-bold text-slate-500 uppercase">Learning Goal</label>
-                <input type="text" value={goal} onChange={e=>setGoal(e.target.value)} className="w-full bg-slate-800 border border-slate-700 rounded p-2 text-sm focus:border-indigo-500 outline-none"/>
-             </div>
-             <button onClick={handleStart} className="w-full bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-3 rounded flex justify-center gap-2"><Play size={18}/> Start Recursive Engine</button>
+      <div className="space-y-3">
+        {[...cache].reverse().map(entry => (
+          <div key={entry.id} className="p-3 rounded-lg border border-amber-900/40 bg-amber-950/10">
+            <div className="flex justify-between items-baseline mb-1">
+              <div className="text-sm font-bold text-amber-200 truncate">{entry.topic}</div>
+              <span className="text-[10px] text-slate-500 font-mono shrink-0 ml-2">{new Date(entry.createdAt).toLocaleString()}</span>
+            </div>
+            {entry.parentTopic && <div className="text-[10px] text-slate-500 uppercase mb-2">{t('console.serves', { topic: entry.parentTopic })}</div>}
+            <div className="text-xs text-slate-300 leading-relaxed whitespace-pre-wrap">{entry.synthesis}</div>
+            {entry.feedback && <div className="mt-2 text-[11px] text-emerald-400/80 border-t border-slate-800 pt-2">{entry.feedback}</div>}
           </div>
-        </div>
+        ))}
       </div>
     );
-  }
+  };
 
   return (
     <div className="h-screen bg-slate-950 text-slate-200 flex font-sans overflow-hidden">
@@ -316,40 +687,82 @@ Return JSON only.
       <div className="flex-1 flex flex-col border-r border-slate-800 bg-slate-950 relative">
         <div className="p-4 border-b border-slate-800 bg-slate-900/50 backdrop-blur flex justify-between items-center z-10">
            <h2 className="font-bold text-slate-200 text-sm flex items-center gap-2">
+             <button title={t('common.sessionLibrary')} onClick={onExit} className="text-slate-500 hover:text-white"><Library size={16}/></button>
              <div className="w-2 h-2 rounded-full bg-indigo-500 shadow-[0_0_10px_#6366f1]"></div>
-             Exploration Stream
+             {t('chat.title')}
+             <span className="text-slate-500 font-normal truncate max-w-[240px]">· {sessionTitle}</span>
            </h2>
-           <div className="text-[10px] text-slate-500 font-mono">Action-First Protocol Active</div>
+           <div className="flex items-center gap-3">
+             <label className="flex items-center gap-1 text-slate-500" title={t('chat.threadFilter')}>
+               <Filter size={14}/>
+               <select value={threadFilter || ''} onChange={e => setThreadFilter(e.target.value || null)} className="bg-slate-900 border border-slate-800 rounded px-1 py-0.5 text-[10px] text-slate-400 outline-none max-w-[140px]">
+                 <option value="">{t('chat.allThreads')}</option>
+                 {toTreeOrder(stack).map(node => (
+                   <option key={node.id} value={node.id}>{'· '.repeat(node.level)}{node.topic} ({threadOf(messages, node.id).length})</option>
+                 ))}
+               </select>
+             </label>
+             <button title={t('palette.shortcut')} onClick={() => setIsPaletteOpen(true)} className="text-slate-500 hover:text-white"><Command size={14}/></button>
+             <button title={t('chat.exportJson')} onClick={() => handleExport('json')} className="text-slate-500 hover:text-white"><Download size={14}/></button>
+             <button title={t('chat.exportMd')} onClick={() => handleExport('md')} className="text-slate-500 hover:text-white"><FileDown size={14}/></button>
+             <UsageMeter usage={meter.usage} lastPrompt={meter.lastPrompt} budget={settings.promptBudget} />
+             <div className="text-[10px] text-slate-500 font-mono">{t('chat.protocolActive')} · {PROVIDERS[providerConfig.provider].label} / {providerConfig.model}</div>
+           </div>
         </div>
 
+        {saveError && <div className="mx-4 mt-3 text-xs text-red-300 bg-red-950/30 border border-red-800/50 rounded p-2">{saveError}</div>}
+
         <div className="flex-1 overflow-y-auto p-4 space-y-6 scrollbar-thin scrollbar-thumb-slate-800 pb-24">
-           {messages.map((msg, i) => (
-             <div key={i} className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'} animate-in fade-in slide-in-from-bottom-2`}>
+           {threadFilter && (
+             <div className="text-[10px] text-slate-500 flex items-center gap-2">
+               {t('chat.thread')} <span className="text-indigo-300 font-bold">{getNode(stack, threadFilter)?.topic}</span>
+               <button onClick={() => setThreadFilter(null)} className="hover:text-white"><X size={12}/></button>
+             </div>
+           )}
+           {messages.filter(msg => msg.text && (!threadFilter || msg.nodeId === threadFilter)).map((msg, i) => (
+             <div key={msg.id || i} className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'} animate-in fade-in slide-in-from-bottom-2`}>
                <div className={`max-w-[85%] rounded-2xl px-5 py-3 text-sm leading-relaxed shadow-sm ${
                  msg.role === 'user' ? 'bg-indigo-600 text-white' : 
                  msg.role === 'system' ? 'bg-slate-800 text-yellow-500/80 text-xs border border-yellow-500/20' :
                  'bg-slate-900 text-slate-300 border border-slate-800'
                }`}>
-                 {msg.text}
+                 {msg.role === 'assistant' ? <MarkdownMessage text={msg.text} citations={msg.citations} onCite={handleCite} /> : msg.text}
+                 {msg.streaming && <span className="inline-block w-1.5 h-4 ml-0.5 align-text-bottom bg-indigo-400 animate-pulse"></span>}
                </div>
              </div>
            ))}
-           {isLoading && <div className="ml-4 text-xs text-indigo-400 animate-pulse flex gap-2 items-center">Thinking & Updating Stack...</div>}
+           {isLoading && !messages.some(m => m.streaming && m.text) && <div className="ml-4 text-xs text-indigo-400 animate-pulse flex gap-2 items-center">{t('chat.thinking')}</div>}
            <div ref={messagesEndRef} />
         </div>
 
         <div className="absolute bottom-0 left-0 right-0 p-4 bg-gradient-to-t from-slate-950 to-transparent">
+           {pendingGate && (
+             <div className="mb-2 flex items-center gap-3 p-2 pl-3 rounded-lg border border-emerald-700/50 bg-emerald-950/40 text-xs text-emerald-300">
+               <ArrowUpCircle size={14}/>
+               <span className="flex-1">{t('chat.gateOffer', { target: pendingGate.target, levels: pendingGate.levels > 1 ? ` ${t('chat.gateOfferLevels', { n: pendingGate.levels })}` : '' })}</span>
+               <button onClick={() => openGate(stack, pendingGate.levels)} disabled={isLoading} className="px-2 py-1 rounded bg-emerald-600 hover:bg-emerald-500 text-white font-bold disabled:opacity-40">{t('chat.startCheckpoint')}</button>
+               <button onClick={() => setPendingGate(null)} className="px-2 py-1 text-slate-400 hover:text-white">{t('chat.notYet')}</button>
+             </div>
+           )}
            <div className="relative shadow-2xl">
+              <SlashHints suggestions={slashHints} onPick={command => prefillInput(`/${command.name} `)} />
               <input 
+                ref={inputRef}
                 value={input}
                 onChange={e => setInput(e.target.value)}
-                onKeyDown={e => e.key === 'Enter' && handleSend()}
-                placeholder="Ask a follow-up question..."
+                onKeyDown={handleInputKeyDown}
+                placeholder={t('chat.placeholder')}
                 className="w-full bg-slate-900 border border-slate-700 rounded-xl pl-4 pr-12 py-4 text-sm focus:border-indigo-500 focus:outline-none focus:ring-1 focus:ring-indigo-500/50 transition-all"
               />
-              <button onClick={handleSend} className="absolute right-2 top-2 bottom-2 bg-indigo-500/10 hover:bg-indigo-500 text-indigo-500 hover:text-white px-3 rounded-lg transition-all">
-                <Send size={18}/>
-              </button>
+              {isLoading ? (
+                <button onClick={handleStop} title={t('common.stopGenerating')} className="absolute right-2 top-2 bottom-2 bg-red-500/10 hover:bg-red-500 text-red-400 hover:text-white px-3 rounded-lg transition-all">
+                  <Square size={18}/>
+                </button>
+              ) : (
+                <button onClick={handleSend} className="absolute right-2 top-2 bottom-2 bg-indigo-500/10 hover:bg-indigo-500 text-indigo-500 hover:text-white px-3 rounded-lg transition-all">
+                  <Send size={18}/>
+                </button>
+              )}
            </div>
         </div>
       </div>
@@ -359,90 +772,51 @@ Return JSON only.
          {/* Tabs */}
          <div className="flex border-b border-slate-800">
             <button onClick={() => setActiveTab('stack')} className={`flex-1 py-3 text-xs font-bold uppercase tracking-wider flex items-center justify-center gap-2 transition-colors ${activeTab === 'stack' ? 'bg-slate-800 text-indigo-400 border-b-2 border-indigo-400' : 'text-slate-500 hover:text-slate-300'}`}>
-               <Layers size={14}/> Mind Stack
+               <Layers size={14}/> {t('console.stack')}
+            </button>
+            <button onClick={() => setActiveTab('graph')} className={`flex-1 py-3 text-xs font-bold uppercase tracking-wider flex items-center justify-center gap-2 transition-colors ${activeTab === 'graph' ? 'bg-slate-800 text-indigo-400 border-b-2 border-indigo-400' : 'text-slate-500 hover:text-slate-300'}`}>
+               <Network size={14}/> {t('console.graph')}
+            </button>
+            <button onClick={() => setActiveTab('cache')} className={`flex-1 py-3 text-xs font-bold uppercase tracking-wider flex items-center justify-center gap-2 transition-colors ${activeTab === 'cache' ? 'bg-slate-800 text-amber-400 border-b-2 border-amber-400' : 'text-slate-500 hover:text-slate-300'}`}>
+               <Database size={14}/> {t('console.cache')} {cache.length > 0 && <span className="text-[9px] bg-amber-500/20 text-amber-300 px-1.5 rounded">{cache.length}</span>}
             </button>
             <button onClick={() => setActiveTab('source')} className={`flex-1 py-3 text-xs font-bold uppercase tracking-wider flex items-center justify-center gap-2 transition-colors ${activeTab === 'source' ? 'bg-slate-800 text-emerald-400 border-b-2 border-emerald-400' : 'text-slate-500 hover:text-slate-300'}`}>
-               <FileText size={14}/> Source
+               <FileText size={14}/> {t('console.source')}
             </button>
          </div>
 
          <div className="flex-1 overflow-y-auto p-6 scrollbar-thin scrollbar-thumb-slate-800">
-            {activeTab === 'stack' ? renderStack() : (
-               <div className="h-full flex flex-col">
-                  <div className="text-xs text-slate-400 mb-2 flex justify-between">
-                     <span>Paste context below (Code, Paper, Article):</span>
-                     {sourceText && <span className="text-emerald-500">Active</span>}
-                  </div>
-                  <textarea 
-                    value={sourceText}
-                    onChange={e => setSourceText(e.target.value)}
-                    className="flex-1 bg-slate-950 border border-slate-800 rounded p-4 text-xs font-mono text-slate-300 focus:outline-none focus:border-emerald-500 resize-none leading-relaxed"
-                    placeholder="// Paste code or text here..."
-                  />
-               </div>
+            {activeTab === 'stack' ? renderStack() : activeTab === 'graph' ? (
+               <MindMap stack={stack} selectedId={threadFilter} onNodeClick={handleGraphNodeClick} session={{ title: sessionTitle, goal }} />
+            ) : activeTab === 'cache' ? renderCache() : (
+               <SourceLibrary sources={sources} onChange={handleSourcesChange} retrieved={lastRetrieved} focus={sourceFocus} />
             )}
          </div>
+
+         <TimelineBar timeline={timeline} disabled={isLoading} onRestore={handleRestoreSnapshot} onFork={handleForkSnapshot} />
       </div>
 
+      {isPaletteOpen && (
+        <CommandPalette
+          items={buildPaletteItems({ commands: SLASH_COMMANDS, stack, t, runCommand, prefill: prefillInput, activate: editor.activate })}
+          onClose={() => setIsPaletteOpen(false)}
+        />
+      )}
+
       {/* 3. CENTER: THE FEYNMAN GATE (MODAL) */}
       {isModalOpen && gateData && (
-        <div className="absolute inset-0 bg-black/60 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-in fade-in duration-200">
-           <div className="bg-slate-900 border border-slate-700 w-full max-w-lg rounded-2xl shadow-2xl overflow-hidden flex flex-col max-h-[90vh]">
-              <div className="bg-slate-800 p-4 border-b border-slate-700 flex justify-between items-center">
-                 <div className="font-bold text-emerald-400 flex items-center gap-2">
-                    <Lock size={16}/> Knowledge Checkpoint
-                 </div>
-                 <button onClick={() => setIsModalOpen(false)}><X size={18} className="text-slate-500 hover:text-white"/></button>
-              </div>
-
-              <div className="p-6 overflow-y-auto">
-                 <div className="flex flex-col items-center gap-2 mb-6">
-                    <span className="text-xs text-slate-500 uppercase font-bold">Connecting</span>
-                    <div className="flex items-center gap-3 text-sm font-bold">
-                       <span className="text-indigo-300 bg-indigo-900/50 px-3 py-1 rounded border border-indigo-700/50">{gateData.child.topic}</span>
-                       <ArrowUpCircle size={16} className="text-slate-600"/>
-                       <span className="text-emerald-300 bg-emerald-900/50 px-3 py-1 rounded border border-emerald-700/50">{gateData.parent.topic}</span>
-                    </div>
-                 </div>
-
-                 <p className="text-sm text-slate-300 mb-4 leading-relaxed">
-                    To pop the stack, prove you've synthesized this knowledge. 
-                    <br/>
-                    <span className="text-slate-500 text-xs mt-1 block">
-                       Hint: How does the specific logic of the child node solve the broader problem of the parent node?
-                    </span>
-                 </p>
-
-                 <textarea 
-                    value={synthesisInput}
-                    onChange={e => setSynthesisInput(e.target.value)}
-                    placeholder="E.g. The transpose is necessary because..."
-                    className="w-full h-32 bg-slate-950 border border-slate-800 rounded-lg p-3 text-sm focus:border-emerald-500 focus:outline-none resize-none mb-4"
-                 />
-
-                 {verificationResult && (
-                    <div className={`p-3 rounded border text-sm ${verificationResult.approved ? 'bg-emerald-900/20 border-emerald-800 text-emerald-400' : 'bg-red-900/20 border-red-800 text-red-400'}`}>
-                       <div className="font-bold mb-1 flex items-center gap-2">
-                          {verificationResult.approved ? <CheckCircle size={16}/> : <AlertCircle size={16}/>}
-                          {verificationResult.approved ? 'Approved' : 'Refinement Needed'}
-                       </div>
-                       <div className="opacity-90 text-xs">{verificationResult.feedback}</div>
-                    </div>
-                 )}
-              </div>
-
-              <div className="p-4 bg-slate-800/50 border-t border-slate-800 flex justify-end gap-3">
-                 <button onClick={() => setIsModalOpen(false)} className="text-slate-400 hover:text-white text-sm px-3">Cancel</button>
-                 <button 
-                   onClick={handleVerification}
-                   disabled={isVerifying || verificationResult?.approved}
-                   className={`px-4 py-2 rounded font-bold text-sm transition-all flex items-center gap-2 ${verificationResult?.approved ? 'bg-emerald-600 text-white' : 'bg-indigo-600 hover:bg-indigo-500 text-white'}`}
-                 >
-                    {isVerifying ? 'Verifying...' : verificationResult?.approved ? 'Closing Stack...' : 'Submit Synthesis'}
-                 </button>
-              </div>
-           </div>
-        </div>
+        <GateModal
+          key={gateData.child.id}
+          providerConfig={meter.config}
+          language={language}
+          child={gateData.child}
+          parent={gateData.parent}
+          remaining={gateData.remaining}
+          onRecord={handleGateRecord}
+          onPass={handleGatePassed}
+          onContinue={handleGateContinue}
+          onClose={() => setIsModalOpen(false)}
+        />
       )}
     </div>
   );
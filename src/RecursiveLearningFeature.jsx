@@ -1,80 +1,92 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Send, Layers, RotateCcw, Save, Play, Settings, CornerDownLeft, Database, CheckCircle2 } from 'lucide-react';
-
-// --- System Prompt Configuration ---
-const SYSTEM_PROMPT = `
-你是一个“递归学习引擎 (Recursive Learning Engine)”。
-你的核心任务不是聊天，而是维护一个“学习状态文档 (Stack-Doc)”。
-
-**协议规则 (PROTOCOL):**
-1. **状态唯一性**: 你的记忆是短暂的，只有提供的 markdown 文档是持久的。一切以文档中的 Stack 为准。
-2. **操作逻辑**:
-   - **PUSH (下钻)**: 用户询问新概念 -> 将其压入 Stack 最底层 (标记为 Active)。
-   - **EXPLAIN (解释)**: 用户询问当前层级概念 -> 解释它。
-   - **POP (回溯)**: 用户表示"懂了"或"下一步" -> 将当前 Active 层移除，提取核心结论写入 [Knowledge Cache]，将 Active 指针上移一层。
-3. **输出格式**:
-   - 首先：用自然语言回答用户问题，解释概念。
-   - 最后：必须输出一个且仅一个 markdown 代码块，包含更新后的完整文档状态。
-
-**文档格式模版**:
-# 🎯 Goal: [终极目标]
-
-## 🥞 Stack (递归栈)
-1. [Level 0] Root Topic
-2. [Level 1] Sub-topic (Active)
-
-## 🧠 Cache (已归档知识)
-- [Level 2] Concept: Definition...
-
----
-现在，根据用户的输入和当前的文档状态，执行操作并更新文档。
-`;
-
-const INITIAL_DOC_TEMPLATE = (goal) => `# 🎯 Goal: ${goal}
-
-## 🥞 Stack (递归栈)
-1. [Level 0] ${goal} (Active)
-
-## 🧠 Cache (已归档知识)
-- (暂无归档)
-`;
-
-export default function RecursiveLearningAgent() {
-  const [apiKey, setApiKey] = useState('');
-  const [goal, setGoal] = useState('');
-  const [isStarted, setIsStarted] = useState(false);
-  const [messages, setMessages] = useState([]);
+import { Send, Layers, RotateCcw, Save, Library, CornerDownLeft, Database, CheckCircle2, Square, Download, Pencil, Plus, ListPlus, Trash2, Command } from 'lucide-react';
+import { PROVIDERS, isProviderReady } from './llm/providers';
+import { describeError } from './llm/errors';
+import { runTurn, repairNotice } from './engines';
+import { stackDocEngine, buildDocPrompt } from './engines/stackDoc';
+import MarkdownMessage from './components/MarkdownMessage';
+import { stackToDoc, docToStack } from './stack/stackDoc';
+import { stackReducer, makeNodeId, getActive, getParent } from './stack/stackReducer';
+import { useStackEditor } from './stack/useStackEditor';
+import { loadSession, saveSession, StorageFullError } from './storage/sessions';
+import { exportSessionJSON, exportSessionMarkdown, sessionFileName, downloadFile } from './storage/sessionTransfer';
+import { useI18n } from './i18n';
+import { useActivationLog } from './analytics/useActivationLog';
+import { commandsFor, EXPORT_FORMATS, parseSlashCommand, slashSuggestions, commandUsage, buildPaletteItems, findNode, navigationTarget } from './commands/slashCommands';
+import { useWorkspaceShortcuts } from './commands/useWorkspaceShortcuts';
+import CommandPalette from './commands/CommandPalette';
+import SlashHints from './commands/SlashHints';
+import { roadmapProgress, nextPlanned } from './roadmap/roadmap';
+import { estimateTokens } from './memory/tokens';
+import { useUsageMeter } from './usage/useUsageMeter';
+import UsageMeter from './usage/UsageMeter';
+
+// The doc has no gate, source library or action to pin, so /gate, /stay and /source are not offered
+const COMMANDS = commandsFor(['push', 'pop', 'goto', 'export']);
+
+// --- STACK-DOC WORKSPACE ---
+// One Stack-Doc session, opened by the shell. The library stores it like any
+// other session (node tree + cache); here it is rendered back into the doc the
+// model reads and rewrites, and parsed again on every save.
+export default function RecursiveLearningAgent({ sessionId, providerConfig, settings, onExit }) {
+  const { t } = useI18n();
+  const language = settings.learningLanguage;
+  const [saved] = useState(() => loadSession(sessionId));
+  const [messages, setMessages] = useState(() => saved.messages || []);
   const [input, setInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
-  const [stackDoc, setStackDoc] = useState('');
-  const [showSettings, setShowSettings] = useState(true);
+  const [saveError, setSaveError] = useState(''); // why the last auto-save failed (storage full...), shown above the chat
+  const [stackDoc, setStackDoc] = useState(() => stackToDoc(saved));
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
   
   const messagesEndRef = useRef(null);
+  const inputRef = useRef(null);
+  const abortRef = useRef(null);
+
+  // Every model call goes through the metered config
+  const meter = useUsageMeter(sessionId, providerConfig);
 
   // Auto-scroll to bottom of chat
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
-  // Initial Setup
-  const handleStart = () => {
-    if (!goal.trim()) return;
-    setStackDoc(INITIAL_DOC_TEMPLATE(goal));
-    setIsStarted(true);
-    addMessage('system', `递归学习系统已启动。目标设定为: ${goal}。请提出你的第一个问题，或者让我为你拆解这个主题。`);
+  // Auto-save (once a reply has finished streaming)
+  useEffect(() => {
+    if (isLoading) return;
+    const { stack, cache } = docToStack(stackDoc);
+    try {
+      saveSession({ ...loadSession(sessionId), stack, cache, messages });
+      setSaveError('');
+    } catch (e) {
+      // Reported, never rethrown: an effect that throws would unmount the workspace
+      setSaveError(e instanceof StorageFullError ? t('storage.full') : t('storage.saveFailed', { message: e.message }));
+    }
+  }, [sessionId, isLoading, stackDoc, messages]);
+
+  const addMessage = (role, text, extra = {}) => {
+    const id = `m-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    setMessages(prev => [...prev, { id, role, text, ...extra }]);
+    return id;
   };
 
-  const addMessage = (role, text) => {
-    setMessages(prev => [...prev, { role, text }]);
+  const updateMessage = (id, patch) => {
+    setMessages(prev => prev.map(m => (m.id === id ? { ...m, ...patch } : m)));
   };
 
   // --- API Interaction Logic ---
   const handleSend = async () => {
     if (!input.trim() || isLoading) return;
+
+    const command = parseSlashCommand(input, COMMANDS);
+    if (command) {
+      setInput('');
+      runCommand(command);
+      return;
+    }
     
-    if (!apiKey) {
-      alert("请先在设置中输入 Google Gemini API Key");
-      setShowSettings(true);
+    if (!isProviderReady(providerConfig)) {
+      addMessage('system', t('system.providerMissing', { provider: PROVIDERS[providerConfig.provider].label }));
       return;
     }
 
@@ -83,110 +95,195 @@ export default function RecursiveLearningAgent() {
     addMessage('user', userMsg);
     setIsLoading(true);
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const replyId = addMessage('assistant', '', { streaming: true });
+
     try {
-      // Construct the prompt combining Context + Input
-      const fullPrompt = `
-${SYSTEM_PROMPT}
-
-**当前文档状态 (CURRENT STATE):**
-${stackDoc}
-
-**用户输入 (USER INPUT):**
-${userMsg}
-      `;
-
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: fullPrompt }] }]
-        })
+      const fullPrompt = buildDocPrompt({ doc: stackDoc, userMsg, language });
+      // The document is the state the model rewrites, so it is measured against the budget but never trimmed
+      const tokens = estimateTokens(fullPrompt);
+      meter.notePrompt({ tokens, initialTokens: tokens, trimmed: [], over: tokens > settings.promptBudget });
+
+      // Parse Output: the chat streams in as it arrives, the trailing markdown
+      // block replaces the doc once it closes and is still a valid Stack-Doc
+      // (and never shows up in the chat). A missing or broken document block
+      // is repaired with a request for the corrected document only.
+      const { text } = await runTurn(stackDocEngine, meter.config, {
+        prompt: fullPrompt,
+        meta: { kind: 'doc', userMsg, doc: stackDoc },
+        signal: controller.signal,
+        language,
+        onText: text => updateMessage(replyId, { text }),
+        onState: setStackDoc,
+        onRepair: (attempt, errors) => addMessage('system', repairNotice(stackDocEngine, attempt, errors, t)),
       });
+      if (!text) updateMessage(replyId, { text: t('system.noResponse') });
 
-      const data = await response.json();
-      
-      if (data.error) {
-        throw new Error(data.error.message);
-      }
+    } catch (error) {
+      // Stopping before the markdown block closes leaves the doc untouched
+      if (error.name === 'AbortError') addMessage('system', t('system.stoppedDocUnchanged'));
+      else addMessage('system', t('system.docUnchanged', { error: describeError(error, t) }));
+    } finally {
+      setMessages(prev => prev
+        .filter(m => m.id !== replyId || m.text)
+        .map(m => (m.id === replyId ? { ...m, streaming: false } : m)));
+      abortRef.current = null;
+      setIsLoading(false);
+    }
+  };
+
+  const handleStop = () => {
+    abortRef.current?.abort();
+  };
+
+  // --- Manual Stack Editing ---
+  // The doc is parsed into nodes, edited through the reducer, and written back as a Stack-Doc
+  const applyDocEdit = (action, successMessage) => {
+    if (isLoading) return; // a reply in flight would overwrite the edit
+    const session = docToStack(stackDoc);
+    const { stack: nextStack, error } = stackReducer(session.stack, action);
+    if (error) {
+      addMessage('system', t('system.rejectedEdit', { action: action.type, error }));
+      return;
+    }
+    setStackDoc(stackToDoc({ ...session, stack: nextStack }));
+    addMessage('system', successMessage);
+  };
 
-      const aiText = data.candidates?.[0]?.content?.parts?.[0]?.text || "No response";
-      
-      // Parse Output: Separate Chat vs Markdown
-      const markdownMatch = aiText.match(/```markdown([\s\S]*?)```/);
-      let newDoc = stackDoc;
-      let chatResponse = aiText;
-
-      if (markdownMatch) {
-        newDoc = markdownMatch[1].trim();
-        // Remove the markdown block from the chat display to keep it clean
-        chatResponse = aiText.replace(/```markdown[\s\S]*?```/, '').trim();
+  const editor = useStackEditor(docToStack(stackDoc).stack, applyDocEdit);
+
+  // --- Slash Commands, Palette & Shortcuts (edits of the doc, no model call) ---
+  const runCommand = ({ command, arg, name, error }) => {
+    if (error === 'unknown') addMessage('system', t('system.unknownCommand', { name }));
+    else if (error === 'unavailable') addMessage('system', t('system.commandUnavailable', { name }));
+    else if (error === 'missingArg') addMessage('system', t('system.commandUsage', { usage: commandUsage(command, t) }));
+    if (error) return;
+
+    const { stack } = docToStack(stackDoc);
+    switch (command.name) {
+      case 'push':
+        applyDocEdit({ type: 'PUSH', id: makeNodeId(), topic: arg }, t('system.pushed', { topic: arg }));
+        break;
+      case 'pop': {
+        const active = getActive(stack);
+        const parent = getParent(stack, active);
+        if (parent) applyDocEdit({ type: 'POP', id: active.id }, t('system.popped', { topic: parent.topic }));
+        else addMessage('system', t('system.noParent'));
+        break;
+      }
+      case 'goto': {
+        const node = findNode(stack, arg);
+        if (node) editor.activate(node);
+        else addMessage('system', t('system.nodeNotFound', { query: arg }));
+        break;
+      }
+      case 'export': {
+        const format = arg.toLowerCase() || 'md';
+        if (EXPORT_FORMATS.includes(format)) handleExport(format);
+        else addMessage('system', t('system.commandUsage', { usage: commandUsage(command, t) }));
+        break;
       }
+    }
+  };
 
-      setStackDoc(newDoc);
-      addMessage('assistant', chatResponse);
+  const prefillInput = (text) => {
+    setInput(text);
+    inputRef.current?.focus();
+  };
 
-    } catch (error) {
-      addMessage('system', `Error: ${error.message}`);
-    } finally {
-      setIsLoading(false);
+  const slashHints = slashSuggestions(input, COMMANDS);
+
+  const handleInputKeyDown = (e) => {
+    if (e.key === 'Enter') handleSend();
+    if (e.key === 'Tab' && slashHints.length) {
+      e.preventDefault();
+      prefillInput(`/${slashHints[0].name} `);
     }
   };
 
+  useWorkspaceShortcuts({
+    onPalette: () => setIsPaletteOpen(open => !open),
+    onNavigate: (direction) => {
+      const node = navigationTarget(docToStack(stackDoc).stack, direction);
+      if (node) editor.activate(node);
+    },
+  });
+
+  // Analytics: the doc carries no explicit actions, so only activations are logged
+  useActivationLog(sessionId, docToStack(stackDoc).stack);
+
+  // --- Session Export (shared format with the Action-First agent) ---
+  const handleExport = (format) => {
+    const { stack, cache } = docToStack(stackDoc);
+    const session = { ...loadSession(sessionId), stack, cache, messages };
+    if (format === 'json') downloadFile(sessionFileName(session, 'json'), exportSessionJSON(session), 'application/json');
+    else downloadFile(sessionFileName(session, 'md'), exportSessionMarkdown(session), 'text/markdown');
+  };
+
   // --- UI Components ---
 
   const renderStackVisualizer = (doc) => {
-    const lines = doc.split('\n');
-    let section = '';
-    const stackItems = [];
-    const cacheItems = [];
-    let goalText = '';
-
-    lines.forEach(line => {
-      if (line.startsWith('# 🎯')) goalText = line.replace('# 🎯 Goal:', '').trim();
-      else if (line.startsWith('## 🥞')) section = 'stack';
-      else if (line.startsWith('## 🧠')) section = 'cache';
-      else if (line.trim().match(/^\d+\./) && section === 'stack') {
-        stackItems.push(line.trim());
-      } else if (line.trim().startsWith('-') && section === 'cache') {
-        cacheItems.push(line.replace('-', '').trim());
-      }
-    });
+    const { goal: goalText, stack: stackItems, cache: cacheItems } = docToStack(doc);
+    const progress = roadmapProgress(stackItems);
+    const next = nextPlanned(stackItems);
 
     return (
       <div className="stack-visual">
         <div className="goal-card">
-          <div className="goal-label">Root Goal</div>
-          <div className="goal-text">{goalText || 'Not set'}</div>
+          <div className="goal-label">{t('doc.rootGoal')}</div>
+          <div className="goal-text">{goalText || t('doc.notSet')}</div>
         </div>
 
+        {progress && (
+          <div className="roadmap-progress">
+            <div className="roadmap-progress-label">
+              <span>{t('roadmap.progress', progress)}</span>
+              {next && <span title={next.topic}>{t('roadmap.next', { topic: next.topic })}</span>}
+            </div>
+            <div className="roadmap-bar">
+              <div className="roadmap-bar-fill" style={{ width: `${(progress.done / progress.total) * 100}%` }}></div>
+            </div>
+          </div>
+        )}
+
         <div className="section">
           <div className="section-title">
             <Layers size={16} />
-            <span>Recursive Stack</span>
+            <span>{t('doc.stack')}</span>
           </div>
           <div className="stack-list">
             {stackItems.length === 0 ? (
-              <div className="cache-empty">Empty stack</div>
+              <div className="cache-empty">{t('doc.emptyStack')}</div>
             ) : (
-              stackItems.map((item, idx) => {
-                const isActive = item.includes('(Active)');
-                const cleanText = item
-                  .replace('(Active)', '')
-                  .replace(/^\[.*?\]/, '')
-                  .replace(/^\d+\./, '')
-                  .trim();
-                const levelMatch = item.match(/\[Level (\d+)\]/);
-                const level = levelMatch ? parseInt(levelMatch[1]) : 0;
+              stackItems.map((node) => {
+                const isActive = node.status === 'Active';
+                const dropHint = editor.dropHint(node);
 
                 return (
                   <div
-                    key={idx}
-                    className={`stack-item ${isActive ? 'active' : ''}`}
-                    style={{ marginLeft: `${level * 12}px` }}
+                    key={node.id}
+                    {...editor.dragProps(node)}
+                    className={`stack-item ${isActive ? 'active' : ''} ${node.status === 'Done' ? 'done' : ''} ${dropHint ? `drop-${dropHint}` : ''}`}
+                    style={{ marginLeft: `${node.level * 12}px` }}
                   >
-                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                      <span>{cleanText}</span>
-                      {isActive && <span className="badge">CURRENT</span>}
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8 }}>
+                      {editor.editingId === node.id ? (
+                        <input {...editor.renameInputProps} className="stack-rename" />
+                      ) : (
+                        <span onDoubleClick={() => editor.startRename(node)}>
+                          {node.topic}
+                          {node.plan && <span className="plan-badge" title={t('roadmap.planned', node.plan)}>#{node.plan.order} {'★'.repeat(node.plan.difficulty)}</span>}
+                        </span>
+                      )}
+                      {isActive && <span className="badge">{t('common.current')}</span>}
+                    </div>
+                    <div className="stack-item-actions">
+                      {!isActive && <button title={t('editor.activate')} onClick={() => editor.activate(node)}><RotateCcw size={12} /></button>}
+                      <button title={t('common.rename')} onClick={() => editor.startRename(node)}><Pencil size={12} /></button>
+                      <button title={t('editor.addChild')} onClick={() => editor.addChild(node)}><Plus size={12} /></button>
+                      {node.parentId && <button title={t('editor.addSibling')} onClick={() => editor.addSibling(node)}><ListPlus size={12} /></button>}
+                      {node.parentId && <button title={t('editor.deleteBranch')} className="danger" onClick={() => editor.remove(node)}><Trash2 size={12} /></button>}
                     </div>
                   </div>
                 );
@@ -198,17 +295,17 @@ ${userMsg}
         <div className="section">
           <div className="section-title">
             <Database size={16} />
-            <span>Knowledge Cache</span>
+            <span>{t('doc.cache')}</span>
           </div>
           <div className="cache-card">
-            {cacheItems.length === 0 || cacheItems[0] === '(暂无归档)' ? (
-              <div className="cache-empty">Completed concepts will appear here...</div>
+            {cacheItems.length === 0 ? (
+              <div className="cache-empty">{t('doc.cacheEmpty')}</div>
             ) : (
               <ul className="cache-list">
-                {cacheItems.map((item, idx) => (
-                  <li key={idx} className="cache-item">
+                {cacheItems.map((item) => (
+                  <li key={item.id} className="cache-item">
                     <CheckCircle2 size={16} color="#70efc9" />
-                    <span>{item}</span>
+                    <span><strong>{item.topic}</strong>{item.synthesis && `: ${item.synthesis}`}</span>
                   </li>
                 ))}
               </ul>
@@ -219,81 +316,33 @@ ${userMsg}
     );
   };
 
-  if (!isStarted) {
-    return (
-      <div className="start-shell">
-        <div className="start-card">
-          <div className="start-header">
-            <RotateCcw size={30} className="brand-icon" />
-            <div>
-              <div className="start-badge">Execution Stream</div>
-              <h1 className="start-title">Recursive Learner</h1>
-            </div>
-          </div>
-          <p className="muted">一个基于 Stack-Doc 协议的极简 Agent。防止你在深度学习中迷失方向。</p>
-
-          <div className="form-group">
-            <label className="form-label">Google Gemini API Key</label>
-            <input
-              type="password"
-              value={apiKey}
-              onChange={(e) => setApiKey(e.target.value)}
-              placeholder="Paste key here..."
-              className="text-input"
-            />
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">你想学什么？（Root Goal）</label>
-            <input
-              type="text"
-              value={goal}
-              onChange={(e) => setGoal(e.target.value)}
-              placeholder="e.g. Transformer Architecture, Quantum Mechanics..."
-              className="text-input"
-            />
-          </div>
-
-          <button onClick={handleStart} className="primary-btn">
-            <Play size={18} /> 初始化 Stack
-          </button>
-        </div>
-      </div>
-    );
-  }
-
   return (
     <div className="app-shell">
       <div className="execution-panel">
         <div className="panel-header">
           <div className="panel-title">
             <CornerDownLeft size={18} />
-            <span>Execution Stream</span>
+            <span>{t('doc.title')}</span>
+          </div>
+          <div className="header-actions">
+            <UsageMeter usage={meter.usage} lastPrompt={meter.lastPrompt} budget={settings.promptBudget} />
+            <button className="icon-btn" title={t('palette.shortcut')} onClick={() => setIsPaletteOpen(true)}>
+              <Command size={18} />
+            </button>
+            <button className="icon-btn" title={t('common.sessionLibrary')} onClick={onExit}>
+              <Library size={18} />
+            </button>
           </div>
-          <button className="icon-btn" onClick={() => setShowSettings(!showSettings)}>
-            <Settings size={18} />
-          </button>
         </div>
 
-        {showSettings && (
-          <div className="settings-card">
-            <label className="form-label">API Key</label>
-            <input
-              type="password"
-              value={apiKey}
-              onChange={(e) => setApiKey(e.target.value)}
-              className="text-input"
-              placeholder="Paste key here..."
-            />
-            <button className="link-btn" onClick={() => setShowSettings(false)}>Close</button>
-          </div>
-        )}
+        {saveError && <div className="error-banner">{saveError}</div>}
 
         <div className="messages">
-          {messages.map((msg, i) => (
-            <div key={i} className="message-row" style={{ justifyContent: msg.role === 'user' ? 'flex-end' : 'flex-start' }}>
+          {messages.filter(msg => msg.text).map((msg, i) => (
+            <div key={msg.id || i} className="message-row" style={{ justifyContent: msg.role === 'user' ? 'flex-end' : 'flex-start' }}>
               <div className={`message ${msg.role}`}>
-                {msg.text}
+                {msg.role === 'assistant' ? <MarkdownMessage text={msg.text} /> : msg.text}
+                {msg.streaming && <span className="stream-cursor" />}
               </div>
             </div>
           ))}
@@ -304,7 +353,7 @@ ${userMsg}
                   <div className="dot" />
                   <div className="dot" />
                   <div className="dot" />
-                  <span>Updating Stack...</span>
+                  <span>{t('doc.updating')}</span>
                 </div>
               </div>
             </div>
@@ -314,24 +363,28 @@ ${userMsg}
 
         <div className="input-bar">
           <div className="chat-input-wrap">
+            <SlashHints suggestions={slashHints} onPick={command => prefillInput(`/${command.name} `)} />
             <input
+              ref={inputRef}
               type="text"
               value={input}
               onChange={(e) => setInput(e.target.value)}
-              onKeyDown={(e) => e.key === 'Enter' && handleSend()}
-              placeholder="Ask a question or say 'I understand'..."
+              onKeyDown={handleInputKeyDown}
+              placeholder={t('doc.placeholder')}
               className="chat-input"
             />
-            <button
-              onClick={handleSend}
-              disabled={isLoading}
-              className="send-btn"
-            >
-              <Send size={16} />
-            </button>
+            {isLoading ? (
+              <button onClick={handleStop} className="send-btn stop" title={t('common.stopGenerating')}>
+                <Square size={16} />
+              </button>
+            ) : (
+              <button onClick={handleSend} className="send-btn">
+                <Send size={16} />
+              </button>
+            )}
           </div>
           <div className="helper">
-            Tip: Ask "What is X?" to Push. Say "I understand" to Pop.
+            {t('doc.tip')}
           </div>
         </div>
       </div>
@@ -340,23 +393,38 @@ ${userMsg}
         <div className="panel-header">
           <div className="panel-title" style={{ color: '#70efc9' }}>
             <Database size={18} />
-            <span>Stack-Doc (Memory)</span>
+            <span>{t('doc.memory')}</span>
+          </div>
+          <div className="header-actions">
+            <button className="ghost-btn" onClick={() => navigator.clipboard.writeText(stackDoc)}>
+              <Save size={14} /> {t('doc.copy')}
+            </button>
+            <button className="ghost-btn" onClick={() => handleExport('md')} title={t('doc.exportMd')}>
+              <Download size={14} /> .md
+            </button>
+            <button className="ghost-btn" onClick={() => handleExport('json')} title={t('doc.exportJson')}>
+              <Download size={14} /> .json
+            </button>
           </div>
-          <button className="ghost-btn" onClick={() => navigator.clipboard.writeText(stackDoc)}>
-            <Save size={14} /> Copy
-          </button>
         </div>
 
         <div className="stack-body">
           {renderStackVisualizer(stackDoc)}
           <div className="raw-section">
-            <div className="raw-label">Raw State (Debug)</div>
+            <div className="raw-label">{t('doc.raw')}</div>
             <pre className="raw-pre">
               {stackDoc}
             </pre>
           </div>
         </div>
       </div>
+
+      {isPaletteOpen && (
+        <CommandPalette
+          items={buildPaletteItems({ commands: COMMANDS, stack: docToStack(stackDoc).stack, t, runCommand, prefill: prefillInput, activate: editor.activate })}
+          onClose={() => setIsPaletteOpen(false)}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
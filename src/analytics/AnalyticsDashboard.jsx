@@ -0,0 +1,174 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart3, X, Clock, Layers, CheckCircle, ArrowDownCircle, AlertCircle } from 'lucide-react';
+import { useI18n } from '../i18n';
+import { listEvents } from '../storage/eventLog';
+import { listSessions } from '../storage/sessions';
+import { eventsOfSession, depthSeries, nodeStats, hardestConcepts, sessionSummary, gateAttempts, passRate, activeTime, formatDuration } from './metrics';
+
+const CHART_W = 560;
+const CHART_H = 140;
+const CHART_PAD = 20;
+const TOP_NODES = 8;
+
+const formatRate = (rate) => (rate === null ? '—' : `${Math.round(rate * 100)}%`);
+
+// Depth of the Active node as a step line over active time; deeper is lower, like the stack view
+const DepthChart = ({ series }) => {
+  const { t } = useI18n();
+  if (series.length < 2) return <div className="text-xs text-slate-500 text-center py-8">{t('analytics.notEnoughData')}</div>;
+
+  const maxT = Math.max(series[series.length - 1].t, 1);
+  const maxDepth = Math.max(...series.map(p => p.depth), 1);
+  const x = (ms) => CHART_PAD + (ms / maxT) * (CHART_W - 2 * CHART_PAD);
+  const y = (depth) => CHART_PAD + (depth / maxDepth) * (CHART_H - 2 * CHART_PAD);
+  const path = series.map((p, i) => (i === 0 ? `M ${x(p.t)} ${y(p.depth)}` : `H ${x(p.t)} V ${y(p.depth)}`)).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${CHART_W} ${CHART_H}`} className="w-full h-auto">
+      {Array.from({ length: maxDepth + 1 }, (_, depth) => (
+        <g key={depth}>
+          <line x1={CHART_PAD} x2={CHART_W - CHART_PAD} y1={y(depth)} y2={y(depth)} stroke="#1e293b" strokeWidth="1" />
+          <text x={4} y={y(depth) + 3} fontSize="9" fill="#64748b">{depth}</text>
+        </g>
+      ))}
+      <path d={path} fill="none" stroke="#818cf8" strokeWidth="2" />
+      {series.map((p, i) => <circle key={i} cx={x(p.t)} cy={y(p.depth)} r="2.5" fill="#818cf8" />)}
+      <text x={CHART_W - CHART_PAD} y={CHART_H - 4} fontSize="9" fill="#64748b" textAnchor="end">{formatDuration(maxT)}</text>
+    </svg>
+  );
+};
+
+const StatCard = ({ icon: Icon, label, value }) => (
+  <div className="p-3 rounded-lg border border-slate-800 bg-slate-950">
+    <div className="text-[10px] text-slate-500 uppercase font-bold flex items-center gap-1"><Icon size={12}/> {label}</div>
+    <div className="text-lg font-bold text-slate-200 mt-1">{value}</div>
+  </div>
+);
+
+// Learning analytics over the shared event log: one session (depth over time,
+// time per node, its hardest concepts) or every session at once.
+export default function AnalyticsDashboard({ onExit }) {
+  const { t } = useI18n();
+  const [events] = useState(listEvents);
+  const [sessions] = useState(listSessions);
+  const [selectedId, setSelectedId] = useState(''); // '' = all sessions
+
+  const titleOf = (sessionId) => sessions.find(s => s.id === sessionId)?.title ?? t('analytics.deletedSession');
+
+  const scoped = useMemo(() => (selectedId ? eventsOfSession(events, selectedId) : events), [events, selectedId]);
+  const stats = useMemo(() => nodeStats(scoped), [scoped]);
+  const hardest = useMemo(() => hardestConcepts(scoped), [scoped]);
+  const attempts = useMemo(() => gateAttempts(scoped), [scoped]);
+  const summaries = useMemo(() => (
+    sessions
+      .map(s => ({ session: s, ...sessionSummary(eventsOfSession(events, s.id)) }))
+      .filter(s => s.events > 0)
+  ), [events, sessions]);
+
+  const totalTime = selectedId ? activeTime(scoped) : summaries.reduce((ms, s) => ms + s.ms, 0);
+  const maxDepth = Math.max(0, ...scoped.filter(e => e.type === 'activate').map(e => e.depth));
+  const pushes = scoped.filter(e => e.type === 'action' && e.action === 'PUSH' && !e.rejected).length;
+  const busiest = [...stats].sort((a, b) => b.ms - a.ms).slice(0, TOP_NODES).filter(s => s.ms > 0);
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-200 flex justify-center p-4 font-sans">
+      <div className="max-w-3xl w-full bg-slate-900 rounded-2xl border border-slate-800 shadow-2xl overflow-hidden self-start">
+        <div className="bg-slate-800 p-4 border-b border-slate-700 flex justify-between items-center gap-3">
+          <div className="font-bold text-indigo-300 flex items-center gap-2">
+            <BarChart3 size={16}/> {t('analytics.title')}
+          </div>
+          <div className="flex items-center gap-3">
+            <select value={selectedId} onChange={e => setSelectedId(e.target.value)} className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-xs outline-none max-w-[240px]">
+              <option value="">{t('analytics.allSessions')}</option>
+              {summaries.map(({ session }) => <option key={session.id} value={session.id}>{session.title}</option>)}
+            </select>
+            <button onClick={onExit}><X size={18} className="text-slate-500 hover:text-white"/></button>
+          </div>
+        </div>
+
+        {events.length === 0 ? (
+          <div className="p-8 text-center text-sm text-slate-400">{t('analytics.empty')}</div>
+        ) : (
+          <div className="p-6 space-y-6">
+            <div className="grid grid-cols-4 gap-3">
+              <StatCard icon={Clock} label={t('analytics.activeTime')} value={formatDuration(totalTime)} />
+              <StatCard icon={Layers} label={t('analytics.maxDepth')} value={maxDepth} />
+              <StatCard icon={CheckCircle} label={t('analytics.passRate')} value={`${formatRate(passRate(attempts))} (${attempts.filter(a => a.approved).length}/${attempts.length})`} />
+              <StatCard icon={ArrowDownCircle} label={t('analytics.pushes')} value={pushes} />
+            </div>
+
+            {selectedId ? (
+              <>
+                <section>
+                  <div className="text-xs font-bold text-slate-500 uppercase mb-2">{t('analytics.depthOverTime')}</div>
+                  <DepthChart series={depthSeries(scoped)} />
+                </section>
+
+                <section>
+                  <div className="text-xs font-bold text-slate-500 uppercase mb-2">{t('analytics.timePerNode')}</div>
+                  <div className="space-y-1.5">
+                    {busiest.map(s => (
+                      <div key={s.nodeId} className="flex items-center gap-3 text-xs">
+                        <span className="w-48 truncate text-slate-300" title={s.topic}>{s.topic}</span>
+                        <div className="flex-1 h-2 bg-slate-800 rounded">
+                          <div className="h-2 rounded bg-indigo-500" style={{ width: `${(s.ms / busiest[0].ms) * 100}%` }}></div>
+                        </div>
+                        <span className="w-16 text-right font-mono text-slate-400">{formatDuration(s.ms)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </section>
+              </>
+            ) : (
+              <section>
+                <div className="text-xs font-bold text-slate-500 uppercase mb-2">{t('analytics.sessions')}</div>
+                <table className="w-full text-xs">
+                  <thead className="text-[10px] text-slate-500 uppercase">
+                    <tr>
+                      <th className="text-left font-bold pb-1">{t('analytics.session')}</th>
+                      <th className="text-right font-bold pb-1">{t('analytics.activeTime')}</th>
+                      <th className="text-right font-bold pb-1">{t('analytics.maxDepth')}</th>
+                      <th className="text-right font-bold pb-1">{t('analytics.passRate')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summaries.map(s => (
+                      <tr key={s.session.id} onClick={() => setSelectedId(s.session.id)} className="border-t border-slate-800 cursor-pointer hover:bg-slate-800/50">
+                        <td className="py-1.5 truncate max-w-[240px]">{s.session.title}</td>
+                        <td className="py-1.5 text-right font-mono">{formatDuration(s.ms)}</td>
+                        <td className="py-1.5 text-right font-mono">{s.maxDepth}</td>
+                        <td className="py-1.5 text-right font-mono">{formatRate(s.passRate)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </section>
+            )}
+
+            <section>
+              <div className="text-xs font-bold text-slate-500 uppercase mb-2 flex items-center gap-1"><AlertCircle size={12}/> {t('analytics.hardest')}</div>
+              {hardest.length === 0 ? (
+                <div className="text-xs text-slate-500">{t('analytics.noneHard')}</div>
+              ) : (
+                <div className="space-y-2">
+                  {hardest.map(s => (
+                    <div key={`${s.sessionId}/${s.nodeId}`} className="p-2 rounded border border-slate-800 bg-slate-950 flex items-center gap-3">
+                      <div className="flex-1 min-w-0">
+                        <div className="text-sm font-bold truncate">{s.topic}</div>
+                        {!selectedId && <div className="text-[10px] text-slate-500 truncate">{titleOf(s.sessionId)}</div>}
+                      </div>
+                      <div className="text-[10px] font-mono text-slate-400 text-right shrink-0">
+                        <div className="text-red-400/80">{t('analytics.failedAnswers', { n: s.failedAnswers })} · {t('analytics.attempts', { n: s.attempts })}</div>
+                        <div>{t('analytics.drillDowns', { n: s.pushes })} · {formatDuration(s.ms)} · {t(s.approved ? 'analytics.approved' : 'analytics.stuck')}</div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </section>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
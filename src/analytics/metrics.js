@@ -0,0 +1,141 @@
+// --- LEARNING ANALYTICS ---
+// The workspaces log timestamped events (storage/eventLog.js); everything the
+// dashboard shows is derived from them here:
+//   activate  { nodeId, topic, depth }                    the Active node changed (or the session was opened)
+//   action    { action, topic, nodeId, path, rejected,    a model action (or a /push or /pop, `command: true`), taken
+//               command? }                                while `nodeId` was Active (`path`: ids from the root to it)
+//   gate      { nodeId, topic, parentTopic, attemptId,    one graded gate answer; `approved` once the
+//               questionIndex, passed, approved }         last question of an attempt passes
+// Time is "active time": gaps between events count up to IDLE_CAP, so a tab
+// left open overnight does not make a concept look hard.
+
+export const IDLE_CAP = 10 * 60 * 1000;
+
+export const makeEvent = (type, sessionId, fields = {}, now = Date.now()) => ({ type, sessionId, at: now, ...fields });
+
+const byTime = (a, b) => a.at - b.at;
+
+const nodeKey = (sessionId, nodeId) => `${sessionId}/${nodeId}`;
+
+export const eventsOfSession = (events, sessionId) => events.filter(e => e.sessionId === sessionId).sort(byTime);
+
+// Walk one session's events, crediting each gap to the node that was Active during it
+const walkActiveTime = (sessionEvents, visit) => {
+  let current = null; // last activate event
+  sessionEvents.forEach((event, i) => {
+    if (event.type === 'activate') current = event;
+    const next = sessionEvents[i + 1];
+    if (current && next) visit(current, Math.min(next.at - event.at, IDLE_CAP));
+  });
+};
+
+export const activeTime = (sessionEvents) =>
+  sessionEvents.reduce((ms, event, i) => (i > 0 ? ms + Math.min(event.at - sessionEvents[i - 1].at, IDLE_CAP) : ms), 0);
+
+// [{ t, depth }]: depth of the Active node against active time (ms) since the session started
+export const depthSeries = (sessionEvents) => {
+  const series = [];
+  let t = 0;
+  sessionEvents.forEach((event, i) => {
+    if (i > 0) t += Math.min(event.at - sessionEvents[i - 1].at, IDLE_CAP);
+    if (event.type === 'activate') series.push({ t, depth: event.depth });
+  });
+  return series;
+};
+
+// One gate attempt per attemptId: { attemptId, sessionId, nodeId, topic, parentTopic, at, answers, failedAnswers, approved, approvedAt }
+export const gateAttempts = (events) => {
+  const attempts = new Map();
+  events.filter(e => e.type === 'gate').sort(byTime).forEach(e => {
+    const attempt = attempts.get(e.attemptId) || {
+      attemptId: e.attemptId, sessionId: e.sessionId, nodeId: e.nodeId, topic: e.topic, parentTopic: e.parentTopic,
+      at: e.at, answers: 0, failedAnswers: 0, approved: false, approvedAt: null,
+    };
+    attempt.answers += 1;
+    if (!e.passed) attempt.failedAnswers += 1;
+    if (e.approved) {
+      attempt.approved = true;
+      attempt.approvedAt = e.at;
+    }
+    attempts.set(e.attemptId, attempt);
+  });
+  return [...attempts.values()];
+};
+
+export const passRate = (attempts) =>
+  (attempts.length ? attempts.filter(a => a.approved).length / attempts.length : null);
+
+// Per node of every session in `events`:
+//   ms              active time spent on the node itself
+//   attempts        gate attempts until (and including) the approved one
+//   failedAnswers   failed gate answers before approval
+//   pushes          PUSH actions taken inside the node's branch before it was approved
+//   approved        whether a gate on it was ever passed
+export const nodeStats = (events) => {
+  const stats = new Map();
+  const statOf = (sessionId, nodeId, topic) => {
+    const key = nodeKey(sessionId, nodeId);
+    if (!stats.has(key)) stats.set(key, { sessionId, nodeId, topic, ms: 0, attempts: 0, failedAnswers: 0, pushes: 0, approved: false, approvedAt: null });
+    const stat = stats.get(key);
+    if (topic) stat.topic = topic;
+    return stat;
+  };
+
+  const sessionIds = [...new Set(events.map(e => e.sessionId))];
+  sessionIds.forEach(sessionId => {
+    walkActiveTime(eventsOfSession(events, sessionId), (active, ms) => {
+      statOf(sessionId, active.nodeId, active.topic).ms += ms;
+    });
+  });
+
+  gateAttempts(events).sort(byTime).forEach(attempt => {
+    const stat = statOf(attempt.sessionId, attempt.nodeId, attempt.topic);
+    if (stat.approved) return;
+    stat.attempts += 1;
+    stat.failedAnswers += attempt.failedAnswers;
+    if (attempt.approved) {
+      stat.approved = true;
+      stat.approvedAt = attempt.approvedAt;
+    }
+  });
+
+  events.filter(e => e.type === 'action' && !e.rejected && e.action === 'PUSH').forEach(push => {
+    (push.path || [push.nodeId]).forEach(nodeId => {
+      const stat = stats.get(nodeKey(push.sessionId, nodeId));
+      if (stat && (stat.approvedAt === null || push.at < stat.approvedAt)) stat.pushes += 1;
+    });
+  });
+
+  return [...stats.values()];
+};
+
+// Where learners got stuck: gated concepts ranked by failed answers, then by
+// how much drilling down they needed, then by time.
+export const hardestConcepts = (events, limit = 10) =>
+  nodeStats(events)
+    .filter(s => s.attempts > 0 && (s.failedAnswers > 0 || s.pushes > 0 || !s.approved))
+    .sort((a, b) => b.failedAnswers - a.failedAnswers || b.pushes - a.pushes || b.ms - a.ms)
+    .slice(0, limit);
+
+export const sessionSummary = (sessionEvents) => {
+  const attempts = gateAttempts(sessionEvents);
+  const series = depthSeries(sessionEvents);
+  return {
+    events: sessionEvents.length,
+    ms: activeTime(sessionEvents),
+    maxDepth: series.reduce((max, p) => Math.max(max, p.depth), 0),
+    actions: sessionEvents.filter(e => e.type === 'action').length,
+    pushes: sessionEvents.filter(e => e.type === 'action' && e.action === 'PUSH' && !e.rejected).length,
+    attempts: attempts.length,
+    approved: attempts.filter(a => a.approved).length,
+    passRate: passRate(attempts),
+    lastAt: sessionEvents.length ? sessionEvents[sessionEvents.length - 1].at : null,
+  };
+};
+
+export const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
@@ -0,0 +1,16 @@
+import { useEffect } from 'react';
+import { getActive, getPath } from '../stack/stackReducer';
+import { logEvent } from '../storage/eventLog';
+import { makeEvent } from './metrics';
+
+// --- ACTIVATION LOG ---
+// Logs an `activate` event whenever the Active node of a workspace changes,
+// and once when the session is opened (so time is credited from there).
+export const useActivationLog = (sessionId, stack) => {
+  const active = getActive(stack);
+  useEffect(() => {
+    if (!active) return;
+    const depth = getPath(stack, active.id).length - 1;
+    logEvent(makeEvent('activate', sessionId, { nodeId: active.id, topic: active.topic, depth }));
+  }, [sessionId, active?.id]);
+};
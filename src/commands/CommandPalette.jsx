@@ -0,0 +1,86 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useI18n } from '../i18n';
+import { fuzzyFilter } from './slashCommands';
+
+const GROUPS = ['actions', 'nodes'];
+
+// Ctrl+K palette: fuzzy search over the workspace's actions and nodes.
+// `items` are { id, group: 'actions' | 'nodes', label, hint?, run }; picking
+// one closes the palette and calls its `run`.
+export default function CommandPalette({ items, onClose }) {
+  const { t } = useI18n();
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(0);
+  const listRef = useRef(null);
+
+  // Best match first overall, then grouped for display (the keyboard walks the grouped order)
+  const matches = fuzzyFilter(items, query, item => `${item.label} ${item.hint || ''}`);
+  const ordered = GROUPS.flatMap(group => matches.filter(item => item.group === group));
+
+  useEffect(() => setSelected(0), [query]);
+
+  useEffect(() => {
+    listRef.current?.querySelector('.palette-item.selected')?.scrollIntoView({ block: 'nearest' });
+  }, [selected]);
+
+  const pick = (item) => {
+    onClose();
+    item.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setSelected(i => (ordered.length ? (i + step + ordered.length) % ordered.length : 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (ordered[selected]) pick(ordered[selected]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="palette-backdrop" onMouseDown={onClose}>
+      <div className="palette" onMouseDown={e => e.stopPropagation()}>
+        <input
+          autoFocus
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={t('palette.placeholder')}
+          className="palette-input"
+        />
+        <div className="palette-list" ref={listRef}>
+          {ordered.length === 0 && <div className="palette-empty">{t('palette.empty')}</div>}
+          {GROUPS.map(group => {
+            const groupItems = ordered.filter(item => item.group === group);
+            if (groupItems.length === 0) return null;
+            return (
+              <div key={group}>
+                <div className="palette-group">{t(`palette.${group}`)}</div>
+                {groupItems.map(item => {
+                  const index = ordered.indexOf(item);
+                  return (
+                    <button
+                      key={item.id}
+                      className={`palette-item ${index === selected ? 'selected' : ''}`}
+                      onMouseEnter={() => setSelected(index)}
+                      onClick={() => pick(item)}
+                    >
+                      <span>{item.label}</span>
+                      {item.hint && <span className="palette-item-hint">{item.hint}</span>}
+                    </button>
+                  );
+                })}
+              </div>
+            );
+          })}
+        </div>
+        <div className="palette-footer">{t('palette.footer')}</div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { commandUsage } from './slashCommands';
+
+// Pop-up above the chat input while a slash command name is being typed.
+// Tab (handled by the input) or a click completes the first / picked command.
+export default function SlashHints({ suggestions, onPick }) {
+  const { t } = useI18n();
+  if (suggestions.length === 0) return null;
+
+  return (
+    <div className="slash-hints">
+      {suggestions.map((command, i) => (
+        <button key={command.name} className={`slash-hint ${i === 0 ? 'selected' : ''}`} onMouseDown={e => { e.preventDefault(); onPick(command); }}>
+          <span className="slash-hint-name">{commandUsage(command, t)}</span>
+          <span className="slash-hint-desc">{t(`commands.${command.name}`)}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
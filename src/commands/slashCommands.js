@@ -0,0 +1,117 @@
+import { getActive, getParent, getChildren, getNode, toTreeOrder } from '../stack/stackReducer';
+
+// --- SLASH COMMANDS ---
+// Explicit stack operations typed into the chat input. They bypass the model's
+// intent classification: the workspace runs them through the reducer (or
+// opens the gate / a tab) directly. Each workspace passes the names it supports.
+//   /push <topic>       drill into a new sub-topic of the Active node
+//   /pop                back up one level without a checkpoint
+//   /gate               take the checkpoint on the Active node
+//   /stay <question>    ask the model with the action fixed to STAY
+//   /source             open the source library
+//   /goto <node>        make the best-matching node Active
+//   /export [json|md]   download the session
+export const SLASH_COMMANDS = [
+  { name: 'push', arg: 'topic', required: true },
+  { name: 'pop' },
+  { name: 'gate' },
+  { name: 'stay', arg: 'question', required: true },
+  { name: 'source' },
+  { name: 'goto', arg: 'node', required: true },
+  { name: 'export', arg: 'format' },
+];
+
+export const EXPORT_FORMATS = ['json', 'md'];
+
+export const commandsFor = (names) => SLASH_COMMANDS.filter(c => names.includes(c.name));
+
+// "/push <topic>", with the argument name from the UI dictionary
+export const commandUsage = (command, t) =>
+  `/${command.name}${command.arg ? ` <${t(`commands.args.${command.arg}`)}>` : ''}`;
+
+// -> null (not a command) | { command, arg } | { name, error: 'unknown' | 'unavailable' | 'missingArg' }
+export const parseSlashCommand = (input, available = SLASH_COMMANDS) => {
+  const match = input.trim().match(/^\/(\S*)\s*([\s\S]*)$/);
+  if (!match) return null;
+  const name = match[1].toLowerCase();
+  const arg = match[2].trim();
+  const command = available.find(c => c.name === name);
+  if (!command) return { name, error: SLASH_COMMANDS.some(c => c.name === name) ? 'unavailable' : 'unknown' };
+  if (command.required && !arg) return { name, command, error: 'missingArg' };
+  return { command, arg };
+};
+
+// Commands matching what has been typed so far, while the name is still being typed
+export const slashSuggestions = (input, available = SLASH_COMMANDS) => {
+  const match = input.trimStart().match(/^\/(\S*)$/);
+  if (!match) return [];
+  return available.filter(c => c.name.startsWith(match[1].toLowerCase()));
+};
+
+// --- PALETTE ITEMS ---
+// Commands without an argument run straight from the palette (/export once per
+// format); the others prefill the chat input. Every node is a "go to" target.
+export const buildPaletteItems = ({ commands, stack, t, runCommand, prefill, activate }) => [
+  ...commands.flatMap(command => {
+    const hint = t(`commands.${command.name}`);
+    if (command.name === 'export') {
+      return EXPORT_FORMATS.map(format => ({ id: `cmd-export-${format}`, group: 'actions', label: `/export ${format}`, hint, run: () => runCommand({ command, arg: format }) }));
+    }
+    if (command.required) {
+      return [{ id: `cmd-${command.name}`, group: 'actions', label: commandUsage(command, t), hint, run: () => prefill(`/${command.name} `) }];
+    }
+    return [{ id: `cmd-${command.name}`, group: 'actions', label: `/${command.name}`, hint, run: () => runCommand({ command, arg: '' }) }];
+  }),
+  ...toTreeOrder(stack).map(node => ({
+    id: `node-${node.id}`,
+    group: 'nodes',
+    label: node.topic,
+    hint: node.status === 'Active' ? t('common.current') : `${t('palette.goTo')} · ${t('console.level', { n: node.level })}`,
+    run: () => activate(node),
+  })),
+];
+
+// --- FUZZY SEARCH ---
+// Subsequence match: every query character must appear in order. Consecutive
+// runs and matches at word starts score higher; null means no match.
+export const fuzzyScore = (query, text) => {
+  const q = query.trim().toLowerCase();
+  const s = String(text).toLowerCase();
+  if (!q) return 0;
+  let score = 0;
+  let run = 0;
+  let from = 0;
+  for (const ch of q) {
+    if (ch === ' ') continue;
+    const at = s.indexOf(ch, from);
+    if (at < 0) return null;
+    run = at === from ? run + 1 : 1;
+    score += run + (at === 0 || /[\s\-_/.(]/.test(s[at - 1]) ? 2 : 0);
+    from = at + 1;
+  }
+  if (s.includes(q)) score += q.length * 2;
+  return score;
+};
+
+export const fuzzyFilter = (items, query, toText) =>
+  items
+    .map(item => ({ item, score: fuzzyScore(query, toText(item)) }))
+    .filter(r => r.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map(r => r.item);
+
+export const findNode = (stack, query) => fuzzyFilter(toTreeOrder(stack), query, n => n.topic)[0];
+
+// --- KEYBOARD NAVIGATION ---
+// The node Alt+arrow moves to from the Active node: up = parent, down = first
+// child, left / right = previous / next sibling. undefined when there is none.
+export const navigationTarget = (stack, direction) => {
+  const active = getActive(stack);
+  if (!active) return undefined;
+  if (direction === 'up') return getParent(stack, active);
+  if (direction === 'down') return getChildren(stack, active.id)[0];
+  if (!active.parentId) return undefined;
+  const siblings = getChildren(stack, active.parentId);
+  const at = siblings.findIndex(n => n.id === active.id);
+  return getNode(stack, siblings[direction === 'left' ? at - 1 : at + 1]?.id);
+};
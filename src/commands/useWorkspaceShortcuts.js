@@ -0,0 +1,32 @@
+import { useEffect, useRef } from 'react';
+
+const ARROWS = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+
+// --- WORKSPACE SHORTCUTS ---
+//   Ctrl+K / Cmd+K   toggle the command palette
+//   Alt+arrows       move the Active node through the stack (see navigationTarget)
+// Alt+arrows are left alone while a text field with content has focus, where
+// they move the cursor by word on some systems.
+export const useWorkspaceShortcuts = ({ onPalette, onNavigate }) => {
+  // The latest handlers, so the listener is attached once
+  const handlers = useRef({ onPalette, onNavigate });
+  handlers.current = { onPalette, onNavigate };
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        handlers.current.onPalette();
+        return;
+      }
+      const direction = ARROWS[e.key];
+      if (!direction || !e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+      const field = e.target;
+      if ((field.tagName === 'INPUT' || field.tagName === 'TEXTAREA') && field.value) return;
+      e.preventDefault();
+      handlers.current.onNavigate(direction);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+};
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeSanitize, { defaultSchema } from 'rehype-sanitize';
+import rehypeKatex from 'rehype-katex';
+import rehypeHighlight from 'rehype-highlight';
+import { Copy, Check } from 'lucide-react';
+import { linkCitationMarkers } from '../source/citations';
+import { useI18n } from '../i18n';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github-dark.css';
+
+// --- Assistant Message Renderer ---
+// LLM output is untrusted: raw HTML is never parsed, and the markdown tree is
+// sanitized *before* KaTeX and highlight.js add their own (trusted) markup.
+
+const schema = {
+  ...defaultSchema,
+  attributes: {
+    ...defaultSchema.attributes,
+    code: [['className', /^language-./, 'math-inline', 'math-display']],
+  },
+};
+
+const hastToText = (node) => {
+  if (!node) return '';
+  if (node.type === 'text') return node.value;
+  return (node.children || []).map(hastToText).join('');
+};
+
+const CodeBlock = ({ node, children, ...props }) => {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(hastToText(node).replace(/\n$/, ''));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 1500);
+  };
+
+  return (
+    <div className="md-code">
+      <button className="md-copy" onClick={handleCopy} title={t('chat.copyCode')}>
+        {copied ? <Check size={12} /> : <Copy size={12} />}
+      </button>
+      <pre {...props}>{children}</pre>
+    </div>
+  );
+};
+
+// [n] source citations become markers; an unverified quote (not found in the source) is flagged.
+const CitationMarker = ({ citation, onCite }) => {
+  const { t } = useI18n();
+  return (
+    <button
+      className={`md-cite ${citation.verified ? '' : 'unverified'}`}
+      onClick={() => onCite?.(citation)}
+      title={citation.verified ? `${citation.docName}: "${citation.quote}"` : t('chat.quoteNotFound', { quote: citation.quote })}
+    >
+      {citation.n}
+    </button>
+  );
+};
+
+export default function MarkdownMessage({ text, citations = [], onCite }) {
+  const components = {
+    pre: CodeBlock,
+    a: ({ node, href = '', ...props }) => {
+      const citation = href.startsWith('#cite-') && citations.find(c => `#cite-${c.n}` === href);
+      if (citation) return <CitationMarker citation={citation} onCite={onCite} />;
+      return <a href={href} {...props} target="_blank" rel="noopener noreferrer" />;
+    },
+  };
+
+  return (
+    <div className="md-body">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm, remarkMath]}
+        rehypePlugins={[[rehypeSanitize, schema], rehypeKatex, rehypeHighlight]}
+        components={components}
+      >
+        {linkCitationMarkers(text, citations)}
+      </ReactMarkdown>
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+import { checkJSON } from '../llm/protocol';
+import { ACTION_SCHEMA } from '../llm/schemas';
+import { stackReducer, toPromptStack, getActive, getPath, getNode } from '../stack/stackReducer';
+import { formatCacheForPrompt } from '../stack/knowledgeCache';
+import { formatChunksForPrompt } from '../source/retrieval';
+import { buildHistoryContext } from '../memory/conversationMemory';
+import { fitToBudget, activeNeighbourhood, MIN_MEMORY_BUDGET } from '../memory/promptBudget';
+import { pickLanguage } from '../i18n';
+
+// --- V4 PROMPT ENGINEERING: ACTION-FIRST ---
+
+export const CHAT_SYSTEM_PROMPTS = {
+  zh: `
+你是一个 "Recursive Learning Agent" (递归学习助手)。
+你的核心任务是维护用户的 "思维栈 (Stack)" 并回答问题。
+
+**关键协议：Action-First (先行动，后回答)**
+你不能直接回答用户的问题。你必须先分析用户的意图，更新 Stack 状态，然后再生成回答。
+
+**逻辑判断规则：**
+1. **PUSH (下钻/追问)**: 如果用户的问题是关于当前节点的一个具体细节、子概念、或者因为不懂当前概念而发起的追问。 -> 必须生成新的子节点。
+2. **PUSH_SIBLING (平行分支)**: 如果用户转向了与当前节点同属一个父节点的另一个概念 (例如在 Self-Attention 下先问 Q，再问 K)。 -> 生成当前节点的兄弟节点。
+3. **STAY (平行/澄清)**: 如果用户只是让换个说法解释、举例，或者在聊当前节点的同一层级内容。 -> 保持当前节点 Active。
+4. **TRIGGER_GATE (回溯)**: 如果用户说"懂了"、"回到上一层"。 -> 触发 Gate 信号。
+   如果用户想一次回溯多层 (例如 "这两层都懂了，回到 Self-Attention")，用 "levels" 给出要回溯的层数。
+
+**输出格式 (严格遵守):**
+你必须以一个 JSON 代码块开头，然后才是你的回答。
+你只需要给出 action，不要输出 stack —— Stack 由应用根据你的 action 更新。
+
+格式示例：
+\`\`\`json
+{
+  "action": "PUSH", // or "PUSH_SIBLING", "STAY", "TRIGGER_GATE"
+  "topic": "Q 矩阵的计算", // 仅 PUSH / PUSH_SIBLING 时需要：新节点的简短标题
+  "levels": 1, // 仅 TRIGGER_GATE 时可选：要回溯的层数，默认 1
+  "reason": "用户询问了 Q 矩阵的具体计算，属于 Self-Attention 的子细节，因此下钻。"
+}
+\`\`\`
+
+(在 JSON 块结束后，这里开始你的自然语言回答...)
+
+**引用规则 (Citations):**
+如果回答依据了 Source Context 中的片段 [S1]、[S2]...，在 JSON 块中加入:
+"citations": [{ "n": 1, "source": "S1", "quote": "逐字摘录的原文" }]
+并在回答正文中用 [1]、[2] 标注对应的位置。quote 必须逐字复制原文 (不要翻译或改写)；没有依据原文的内容不要标注引用。
+
+**当前 Stack 结构定义 (只读):**
+Stack 是一棵以扁平数组表示的树: { id: string, parentId: string | null, topic: string, level: number, status: "Active" | "Waiting" | "Done" }
+从根节点到 Active 节点的路径就是当前的递归栈；Done 表示已通过验证的分支。
+Waiting 节点可能是预先规划的学习路线 (roadmap) 主题；开始学习其中一个时，用完全相同的 topic 进行 PUSH。
+
+**语言:** 请始终使用中文回答。
+`,
+  en: `
+You are a "Recursive Learning Agent".
+Your core job is to maintain the user's "Mind Stack" and answer their questions.
+
+**Key protocol: Action-First (act first, answer second)**
+You must not answer the question directly. First analyse the user's intent and update the Stack, then write your answer.
+
+**Decision rules:**
+1. **PUSH (drill down)**: the question is about a specific detail or sub-concept of the current node, or a follow-up because the current concept is not clear yet. -> You must create a new child node.
+2. **PUSH_SIBLING (parallel branch)**: the user moves on to another concept under the same parent as the current node (e.g. asking about Q, then K, under Self-Attention). -> Create a sibling of the current node.
+3. **STAY (clarify)**: the user only wants a different explanation or an example, or keeps talking about the current node at the same level. -> Keep the current node Active.
+4. **TRIGGER_GATE (back up)**: the user says "got it", "back to the previous level". -> Trigger the gate.
+   If the user wants to back up several levels at once (e.g. "I get both of these, back to Self-Attention"), give the number of levels in "levels".
+
+**Output format (strict):**
+You must start with one JSON code block, and only then write your answer.
+Only give the action, do not output the stack — the app updates the Stack from your action.
+
+Example:
+\`\`\`json
+{
+  "action": "PUSH", // or "PUSH_SIBLING", "STAY", "TRIGGER_GATE"
+  "topic": "Computing the Q matrix", // PUSH / PUSH_SIBLING only: short title of the new node
+  "levels": 1, // TRIGGER_GATE only, optional: how many levels to back up, default 1
+  "reason": "The user asked how the Q matrix is computed, a sub-detail of Self-Attention, so drill down."
+}
+\`\`\`
+
+(After the JSON block, your natural-language answer starts here...)
+
+**Citations:**
+If the answer relies on passages [S1], [S2]... from the Source Context, add to the JSON block:
+"citations": [{ "n": 1, "source": "S1", "quote": "verbatim excerpt of the source" }]
+and mark the places in the answer with [1], [2]. A quote must be copied verbatim (do not translate or rephrase); do not cite anything not based on the source.
+
+**Current Stack structure (read-only):**
+The Stack is a tree stored as a flat array: { id: string, parentId: string | null, topic: string, level: number, status: "Active" | "Waiting" | "Done" }
+The path from the root to the Active node is the current recursion stack; Done marks branches that passed the checkpoint.
+Waiting nodes may be topics of a roadmap planned in advance; to start one of them, PUSH it with exactly the same topic.
+
+**Language:** always answer in English.
+`,
+};
+
+const SECTIONS = {
+  zh: { stack: '当前 Stack 状态 (JSON)', memory: '对话记忆 (Conversation Memory)', cache: '知识缓存 (Knowledge Cache — 用户已通过验证的理解，请在此基础上讲解，不要重复)', source: '原文锚定 (Source Context — 从资料库检索到的最相关片段)', input: '用户输入' },
+  en: { stack: 'Current Stack (JSON)', memory: 'Conversation Memory', cache: 'Knowledge Cache (understanding the user already proved — build on it, do not repeat it)', source: 'Source Context (the most relevant passages from the source library)', input: 'User input' },
+};
+
+// A slash command (e.g. /stay) decided the action; the model only answers
+const FORCED_ACTION_NOTES = {
+  zh: (action) => `**注意:** 用户已通过命令指定本轮 action 为 "${action}"。JSON 块中请使用这个 action，不要自行判断意图。`,
+  en: (action) => `**Note:** the user fixed this turn's action to "${action}" with a command. Use this action in the JSON block; do not classify the intent yourself.`,
+};
+
+// Shown in place of the branches a compact stack leaves out
+const OMITTED_NOTES = {
+  zh: (n) => `(为节省篇幅，省略了 ${n} 个不在当前路径附近的节点)`,
+  en: (n) => `(${n} nodes away from the current path are omitted to save space)`,
+};
+
+const formatStackForPrompt = (stack, compact, language) => {
+  if (!compact) return JSON.stringify(toPromptStack(stack), null, 2);
+  const { nodes, omitted } = activeNeighbourhood(stack);
+  return `${JSON.stringify(toPromptStack(nodes))}${omitted ? `\n${pickLanguage(OMITTED_NOTES, language)(omitted)}` : ''}`;
+};
+
+// `memory` is the already-budgeted conversation memory of the Active node.
+// `compactStack` sends only the neighbourhood of the Active node (see buildBudgetedChatPrompt).
+export const buildChatPrompt = ({ stack, compactStack = false, memory, cache, retrieved, userMsg, language, forcedAction }) => {
+  const sections = pickLanguage(SECTIONS, language);
+  return `
+${pickLanguage(CHAT_SYSTEM_PROMPTS, language)}
+
+**${sections.stack}:**
+${formatStackForPrompt(stack, compactStack, language)}
+
+**${sections.memory}:**
+${memory}
+
+**${sections.cache}:**
+${formatCacheForPrompt(cache, language)}
+
+**${sections.source}:**
+${formatChunksForPrompt(retrieved, language)}
+
+${forcedAction ? `${pickLanguage(FORCED_ACTION_NOTES, language)(forcedAction)}
+` : ''}
+**${sections.input}:**
+${userMsg}
+      `;
+};
+
+// buildChatPrompt within `budget` tokens (see memory/promptBudget). Over budget it
+// compacts the stack, then drops source passages (lowest-ranked first), then
+// halves the conversation memory, then keeps only the knowledge of the Active
+// path. `retrieved` in the result is what the prompt still cites as [S1]...
+export const buildBudgetedChatPrompt = ({ budget, stack, messages, historyBudget, cache, retrieved, userMsg, language, forcedAction }) => {
+  const active = getActive(stack);
+  const pathIds = new Set(active ? getPath(stack, active.id).map(n => n.id) : []);
+  const onPath = (entry) => pathIds.has(getNode(stack, entry.nodeId)?.parentId);
+
+  const result = fitToBudget({
+    budget,
+    options: { compactStack: false, historyBudget, cache, retrieved },
+    build: (o) => buildChatPrompt({
+      stack,
+      compactStack: o.compactStack,
+      memory: buildHistoryContext({ stack, messages, activeId: active?.id, budget: o.historyBudget, language }),
+      cache: o.cache,
+      retrieved: o.retrieved,
+      userMsg,
+      language,
+      forcedAction,
+    }),
+    steps: [
+      { id: 'stack', apply: o => (o.compactStack ? null : { ...o, compactStack: true }) },
+      { id: 'source', apply: o => (o.retrieved.length ? { ...o, retrieved: o.retrieved.slice(0, -1) } : null) },
+      { id: 'memory', apply: o => (o.historyBudget > MIN_MEMORY_BUDGET ? { ...o, historyBudget: Math.max(MIN_MEMORY_BUDGET, Math.floor(o.historyBudget / 2)) } : null) },
+      { id: 'cache', apply: o => (o.cache.some(entry => !onPath(entry)) ? { ...o, cache: o.cache.filter(onPath) } : null) },
+    ],
+  });
+  return { ...result, retrieved: result.options.retrieved };
+};
+
+// The leading ```json block carries one action; the reducer turns it into the next stack
+export const actionFirstEngine = {
+  id: 'action-first',
+  label: 'Action-First (JSON)',
+  fenceLang: 'json',
+  repairFormat: { zh: '一个 ```json 代码块 (只包含 action / topic / reason 等协议字段)', en: 'one ```json code block (only the protocol fields: action / topic / reason ...)' },
+  repairLabel: 'system.actionBlock',
+  checkBlock: checkJSON(ACTION_SCHEMA),
+  checkReply: checkJSON(ACTION_SCHEMA),
+  newSession: (goal, t) => {
+    const { stack } = stackReducer([], { type: 'INIT', id: 'root', topic: goal });
+    return {
+      stack,
+      messages: [{ id: 'm-start', role: 'system', text: t('system.startedActionFirst', { goal }), nodeId: 'root' }],
+    };
+  },
+};
@@ -0,0 +1,62 @@
+import { stream } from '../llm/providers';
+import { createFenceStreamParser } from '../llm/fenceStream';
+import { generateValidated, MAX_REPAIRS } from '../llm/protocol';
+import { actionFirstEngine } from './actionFirst';
+import { stackDocEngine } from './stackDoc';
+
+// --- PROTOCOL ENGINES ---
+// A session runs on one protocol, picked when it is created. Every engine
+// describes its protocol through the same fields, and one chat turn of any
+// engine goes through runTurn() below:
+//   id, label                shown on the start screen (description: engines.<id> in the UI dictionaries)
+//   fenceLang                language of the fenced state block in a reply
+//   checkBlock(block)        validates that block -> { value, errors }
+//   checkReply(reply)        validates a whole reply (used by the repair loop)
+//   repairFormat             { zh, en }: what a repair request asks the model for
+//   repairLabel              UI dictionary key naming the block in the 🔧 repair notice
+//   newSession(goal, t)      initial { stack, cache?, messages } of a session
+// A new protocol is a new engine module plus a workspace registered in the shell.
+
+export const ENGINES = {
+  [actionFirstEngine.id]: actionFirstEngine,
+  [stackDocEngine.id]: stackDocEngine,
+};
+
+export const DEFAULT_ENGINE_ID = actionFirstEngine.id;
+
+// Sessions saved before modes existed were all Action-First
+export const getEngine = (id) => ENGINES[id] || ENGINES[DEFAULT_ENGINE_ID];
+
+export const repairNotice = (engine, attempt, errors, t) =>
+  t('system.repair', { block: t(engine.repairLabel), errors: errors.join('; '), attempt, max: MAX_REPAIRS });
+
+// One streamed chat turn: text goes to onText as it arrives, the state block to
+// onState as soon as it closes and passes checkBlock. A missing or broken block is
+// repaired with follow-up requests (the answer text stays); if that fails too,
+// generateValidated throws and onState is never called. `language` is the
+// learning language the repair requests are written in.
+export const runTurn = async (engine, config, { prompt, meta, signal, language, onText, onState, onRepair }) => {
+  let applied = false;
+  const parser = createFenceStreamParser(engine.fenceLang, {
+    onBlock: block => {
+      const { value, errors } = engine.checkBlock(block);
+      if (errors.length > 0) return;
+      applied = true;
+      onState(value);
+    },
+    onText,
+  });
+
+  const fullText = await stream(config, { prompt, meta, signal, onToken: delta => parser.push(delta) });
+  const { text } = parser.finish();
+
+  if (!applied) {
+    const value = await generateValidated(
+      config,
+      { prompt, meta, signal, json: engine.fenceLang === 'json' },
+      { check: engine.checkReply, format: engine.repairFormat, language, firstReply: fullText, onRepair },
+    );
+    onState(value);
+  }
+  return { text };
+};
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import { Lock, X, ArrowUpCircle, CheckCircle, AlertCircle, Lightbulb, ChevronRight, History } from 'lucide-react';
+import { generateValidated, checkJSON } from '../llm/protocol';
+import { GATE_QUESTIONS_SCHEMA, GATE_GRADE_SCHEMA } from '../llm/schemas';
+import { describeError } from '../llm/errors';
+import { useI18n, pickLanguage } from '../i18n';
+import {
+  RUBRIC, MAX_SCORE, QUESTIONS_FORMAT, GRADE_FORMAT, buildQuestionsPrompt, pickQuestions, fallbackQuestions, buildGradePrompt, gradeAnswer,
+  newAttemptId, makeGateEntry, synthesisFromEntries, groupAttempts
+} from './socraticGate';
+
+// The Feynman gate as a short Socratic dialogue: one question at a time, each
+// answer scored on the rubric. `onRecord(entry)` is called for every graded
+// answer; the answer that completes the gate goes to `onPass` instead, and the
+// modal stays on its grade until the learner clicks Continue (`onContinue`).
+// Questions and feedback come in `language` (the learning language).
+export default function GateModal({ providerConfig, language, child, parent, remaining = 0, onRecord, onPass, onContinue, onClose }) {
+  const { t, lang } = useI18n();
+  const [attemptId] = useState(newAttemptId);
+  const [questions, setQuestions] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [answer, setAnswer] = useState('');
+  const [entries, setEntries] = useState([]); // graded answers of this attempt
+  const [result, setResult] = useState(null); // grade of the current question's latest answer
+  const [isGrading, setIsGrading] = useState(false);
+  const [isDone, setIsDone] = useState(false);
+  const [error, setError] = useState(null); // describeError() text of the last failed grading call
+  const [showHistory, setShowHistory] = useState(false);
+
+  const pastAttempts = groupAttempts(child.gateHistory);
+
+  useEffect(() => {
+    let cancelled = false;
+    generateValidated(
+      providerConfig,
+      { prompt: buildQuestionsPrompt({ child, parent, language }), json: true, meta: { kind: 'gate-questions', child, parent } },
+      { check: checkJSON(GATE_QUESTIONS_SCHEMA), format: QUESTIONS_FORMAT, language }
+    )
+      .then(data => !cancelled && setQuestions(pickQuestions(data, child, parent, language)))
+      .catch(() => !cancelled && setQuestions(fallbackQuestions(child, parent, language)));
+    return () => { cancelled = true; };
+  }, []);
+
+  const question = questions?.[index];
+  const isLast = questions && index === questions.length - 1;
+
+  const handleSubmit = async () => {
+    if (!answer.trim() || isGrading || !question) return;
+    setIsGrading(true);
+    setError(null);
+
+    try {
+      const previous = entries.filter(e => e.passed);
+      const data = await generateValidated(
+        providerConfig,
+        {
+          prompt: buildGradePrompt({ child, parent, question, answer, previous, language }),
+          json: true,
+          meta: { kind: 'gate', answer, question, child, parent }
+        },
+        { check: checkJSON(GATE_GRADE_SCHEMA), format: GRADE_FORMAT, language }
+      );
+      const graded = gradeAnswer(data);
+      const entry = makeGateEntry({ attemptId, questionIndex: index, questionCount: questions.length, question, answer, result: graded });
+      const nextEntries = [...entries, entry];
+      setEntries(nextEntries);
+      setResult(graded);
+
+      if (graded.passed && isLast) {
+        setIsDone(true);
+        onPass({ entry, synthesis: synthesisFromEntries(nextEntries), feedback: graded.feedback });
+      } else {
+        onRecord(entry);
+      }
+    } catch (e) {
+      setError(describeError(e, t));
+    } finally {
+      setIsGrading(false);
+    }
+  };
+
+  const handleNextQuestion = () => {
+    setIndex(index + 1);
+    setAnswer('');
+    setResult(null);
+  };
+
+  const renderScores = (scores) => (
+    <div className="flex gap-3 mt-2">
+      {RUBRIC.map(c => (
+        <span key={c.key} title={pickLanguage(c.desc, lang)} className="text-[10px] font-mono text-slate-400">
+          {t(`gate.rubric.${c.key}`)} <span className={scores[c.key] >= MAX_SCORE - 1 ? 'text-emerald-400' : 'text-red-400'}>{scores[c.key]}/{MAX_SCORE}</span>
+        </span>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="absolute inset-0 bg-black/60 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-in fade-in duration-200">
+      <div className="bg-slate-900 border border-slate-700 w-full max-w-lg rounded-2xl shadow-2xl overflow-hidden flex flex-col max-h-[90vh]">
+        <div className="bg-slate-800 p-4 border-b border-slate-700 flex justify-between items-center">
+          <div className="font-bold text-emerald-400 flex items-center gap-2">
+            <Lock size={16}/> {t('gate.title')}
+            {questions && <span className="text-xs text-slate-400 font-mono">· {t('gate.question', { n: index + 1, total: questions.length })}</span>}
+          </div>
+          <button onClick={onClose}><X size={18} className="text-slate-500 hover:text-white"/></button>
+        </div>
+
+        <div className="p-6 overflow-y-auto">
+          <div className="flex flex-col items-center gap-2 mb-6">
+            <span className="text-xs text-slate-500 uppercase font-bold">{t('gate.connecting')}{remaining > 0 && t('gate.moreLevels', { n: remaining })}</span>
+            <div className="flex items-center gap-3 text-sm font-bold">
+              <span className="text-indigo-300 bg-indigo-900/50 px-3 py-1 rounded border border-indigo-700/50">{child.topic}</span>
+              <ArrowUpCircle size={16} className="text-slate-600"/>
+              <span className="text-emerald-300 bg-emerald-900/50 px-3 py-1 rounded border border-emerald-700/50">{parent.topic}</span>
+            </div>
+          </div>
+
+          {!questions ? (
+            <div className="text-xs text-emerald-400 animate-pulse text-center py-6">{t('gate.preparing')}</div>
+          ) : (
+            <>
+              {/* Questions already passed in this attempt */}
+              {entries.filter(e => e.passed && e.questionIndex < index).map(e => (
+                <div key={e.questionIndex} className="mb-3 text-xs text-slate-500 border-l-2 border-emerald-800 pl-3">
+                  <div className="font-bold text-slate-400">{e.question}</div>
+                  <div className="line-clamp-2">{e.answer}</div>
+                </div>
+              ))}
+
+              <p className="text-sm text-slate-200 mb-4 leading-relaxed font-bold">{question}</p>
+
+              <textarea
+                value={answer}
+                onChange={e => setAnswer(e.target.value)}
+                disabled={result?.passed}
+                placeholder={t('gate.placeholder')}
+                className="w-full h-28 bg-slate-950 border border-slate-800 rounded-lg p-3 text-sm focus:border-emerald-500 focus:outline-none resize-none mb-4"
+              />
+
+              {error && (
+                <div className="mb-3 p-3 rounded border border-red-800 bg-red-900/20 text-xs text-red-300">{error}</div>
+              )}
+
+              {result && (
+                <div className={`p-3 rounded border text-sm ${result.passed ? 'bg-emerald-900/20 border-emerald-800 text-emerald-400' : 'bg-red-900/20 border-red-800 text-red-400'}`}>
+                  <div className="font-bold mb-1 flex items-center gap-2">
+                    {result.passed ? <CheckCircle size={16}/> : <AlertCircle size={16}/>}
+                    {result.passed ? t(isDone ? 'gate.approved' : 'gate.correct') : t('gate.refine')}
+                  </div>
+                  <div className="opacity-90 text-xs">{result.feedback}</div>
+                  {renderScores(result.scores)}
+                  {result.hint && (
+                    <div className="mt-2 text-xs text-amber-300 flex gap-2"><Lightbulb size={14} className="shrink-0"/> {result.hint}</div>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+
+          {pastAttempts.length > 0 && (
+            <div className="mt-4">
+              <button onClick={() => setShowHistory(!showHistory)} className="text-[10px] uppercase font-bold text-slate-500 hover:text-slate-300 flex items-center gap-1">
+                <History size={12}/> {t('gate.history', { n: pastAttempts.length })}
+              </button>
+              {showHistory && (
+                <div className="mt-2 space-y-2">
+                  {pastAttempts.map(attempt => (
+                    <div key={attempt.attemptId} className="p-2 rounded border border-slate-800 bg-slate-950 text-[11px] text-slate-400">
+                      <div className="font-mono text-slate-500 mb-1">
+                        {new Date(attempt.startedAt).toLocaleString()} · {t(attempt.passed ? 'gate.passed' : 'gate.notPassed')}
+                      </div>
+                      {attempt.entries.map((e, i) => (
+                        <div key={i} className="flex gap-2">
+                          <span className={e.passed ? 'text-emerald-500' : 'text-red-500'}>{e.passed ? '✓' : '✗'}</span>
+                          <span className="truncate">Q{e.questionIndex + 1}: {e.answer}</span>
+                          <span className="ml-auto font-mono shrink-0">{e.total}/{RUBRIC.length * MAX_SCORE}</span>
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 bg-slate-800/50 border-t border-slate-800 flex justify-end gap-3">
+          {!isDone && <button onClick={onClose} className="text-slate-400 hover:text-white text-sm px-3">{t('common.cancel')}</button>}
+          {isDone ? (
+            <button onClick={onContinue} className="px-4 py-2 rounded font-bold text-sm bg-emerald-600 hover:bg-emerald-500 text-white flex items-center gap-1">
+              {t('gate.continue')} <ChevronRight size={16}/>
+            </button>
+          ) : result?.passed && !isLast ? (
+            <button onClick={handleNextQuestion} className="px-4 py-2 rounded font-bold text-sm bg-emerald-600 hover:bg-emerald-500 text-white flex items-center gap-1">
+              {t('gate.nextQuestion')} <ChevronRight size={16}/>
+            </button>
+          ) : (
+            <button
+              onClick={handleSubmit}
+              disabled={isGrading || !questions}
+              className="px-4 py-2 rounded font-bold text-sm transition-all flex items-center gap-2 bg-indigo-600 hover:bg-indigo-500 text-white"
+            >
+              {t(isGrading ? 'common.grading' : result && !result.passed ? 'gate.tryAgain' : 'gate.submit')}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
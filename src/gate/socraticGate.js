@@ -0,0 +1,149 @@
+import { pickLanguage } from '../i18n';
+
+// --- SOCRATIC GATE ---
+// Popping a node is earned in rounds instead of one pass/fail paragraph:
+//   1. the examiner asks 2-3 targeted questions about how the child serves the parent,
+//   2. each answer is scored against a fixed rubric, and a failed answer gets a hint
+//      and can be retried,
+//   3. the gate opens once every question has been passed.
+// Every graded answer is appended to the node's `gateHistory`, so a later session
+// (or a reviewer) can see how the learner got there.
+
+// Labels live in the UI dictionaries (gate.rubric.<key>); `desc` goes into the grading prompt
+export const RUBRIC = [
+  { key: 'accuracy', desc: { zh: '概念本身是否讲对了', en: 'is the concept itself explained correctly' } },
+  { key: 'connection', desc: { zh: '是否说清子概念如何服务于父概念', en: 'does it make clear how the child concept serves the parent' } },
+  { key: 'ownWords', desc: { zh: '是否用自己的话/例子，而不是复述术语', en: 'is it in their own words / examples rather than recited jargon' } },
+];
+
+export const MAX_SCORE = 3;
+// An answer passes when no criterion is below PASS_MIN and the total reaches PASS_TOTAL.
+const PASS_MIN = 2;
+const PASS_TOTAL = 7;
+
+const MIN_QUESTIONS = 2;
+const MAX_QUESTIONS = 3;
+
+export const GATE_QUESTIONS_PROMPTS = {
+  zh: `
+你是一个苏格拉底式的考官。
+用户试图从 [Child Topic] 回溯到 [Parent Topic]。
+请提出 ${MIN_QUESTIONS}-${MAX_QUESTIONS} 个有针对性的问题，逐步检验用户是否理解子概念如何服务于父概念
+(从 "它是什么" 到 "父概念为什么需要它")。问题要具体，不能用是/否回答。请用中文提问。
+输出 JSON: { "questions": string[] }
+`,
+  en: `
+You are a Socratic examiner.
+The user wants to back up from [Child Topic] to [Parent Topic].
+Ask ${MIN_QUESTIONS}-${MAX_QUESTIONS} targeted questions that check, step by step, whether the user understands how the child concept serves the parent
+(from "what is it" to "why does the parent need it"). Questions must be specific and not answerable with yes/no. Ask in English.
+Output JSON: { "questions": string[] }
+`,
+};
+
+export const GATE_GRADE_PROMPTS = {
+  zh: `
+你是一个严格但愿意引导的考官。请按以下评分标准 (每项 0-${MAX_SCORE} 分) 给用户的回答打分:
+${RUBRIC.map(c => `- ${c.key}: ${c.desc.zh}`).join('\n')}
+如果回答还不够好，不要直接给出答案，而是给出一个提示，引导用户自己想到。feedback 与 hint 请用中文。
+输出 JSON: { "scores": { ${RUBRIC.map(c => `"${c.key}": number`).join(', ')} }, "feedback": string, "hint": string }
+`,
+  en: `
+You are a strict but encouraging examiner. Score the user's answer on this rubric (0-${MAX_SCORE} points each):
+${RUBRIC.map(c => `- ${c.key}: ${c.desc.en}`).join('\n')}
+If the answer is not good enough yet, do not give the answer away; give a hint that leads the user to it. Write feedback and hint in English.
+Output JSON: { "scores": { ${RUBRIC.map(c => `"${c.key}": number`).join(', ')} }, "feedback": string, "hint": string }
+`,
+};
+
+// What a repair request asks for (see generateValidated)
+export const QUESTIONS_FORMAT = { zh: '一个 JSON 对象 { "questions": string[] }', en: 'one JSON object { "questions": string[] }' };
+export const GRADE_FORMAT = { zh: '一个符合评分格式的 JSON 对象', en: 'one JSON object in the scoring format' };
+
+// Used when the examiner cannot produce questions (bad JSON, provider error...).
+const FALLBACK_QUESTIONS = {
+  zh: (child, parent) => [
+    `用你自己的话解释: "${child.topic}" 是什么？`,
+    `"${parent.topic}" 为什么需要 "${child.topic}"？如果没有它会怎样？`,
+  ],
+  en: (child, parent) => [
+    `In your own words: what is "${child.topic}"?`,
+    `Why does "${parent.topic}" need "${child.topic}"? What would happen without it?`,
+  ],
+};
+
+export const fallbackQuestions = (child, parent, language) => pickLanguage(FALLBACK_QUESTIONS, language)(child, parent);
+
+export const buildQuestionsPrompt = ({ child, parent, language }) => `
+${pickLanguage(GATE_QUESTIONS_PROMPTS, language)}
+Context: Child "${child.topic}" -> Parent "${parent.topic}"
+Return JSON only.
+    `;
+
+export const pickQuestions = (data, child, parent, language) => {
+  const questions = (data?.questions || [])
+    .map(q => String(q || '').trim())
+    .filter(Boolean)
+    .slice(0, MAX_QUESTIONS);
+  return questions.length >= MIN_QUESTIONS ? questions : fallbackQuestions(child, parent, language);
+};
+
+const clampScore = (value) => Math.max(0, Math.min(MAX_SCORE, Math.round(Number(value) || 0)));
+
+// The pass decision is made here from the scores, never taken from the model.
+export const gradeAnswer = (graded = {}) => {
+  const scores = Object.fromEntries(RUBRIC.map(c => [c.key, clampScore(graded.scores?.[c.key])]));
+  const values = Object.values(scores);
+  const total = values.reduce((sum, v) => sum + v, 0);
+  const passed = values.every(v => v >= PASS_MIN) && total >= PASS_TOTAL;
+  return {
+    scores,
+    total,
+    passed,
+    feedback: String(graded.feedback || ''),
+    hint: passed ? '' : String(graded.hint || ''),
+  };
+};
+
+export const buildGradePrompt = ({ child, parent, question, answer, previous = [], language }) => `
+${pickLanguage(GATE_GRADE_PROMPTS, language)}
+Context: Child "${child.topic}" -> Parent "${parent.topic}"
+${previous.length ? `Earlier answers in this gate:\n${previous.map(t => `Q: ${t.question}\nA: ${t.answer}`).join('\n')}\n` : ''}Question: "${question}"
+User Answer: "${answer}"
+Return JSON only.
+`;
+
+export const newAttemptId = () => `g-${Date.now().toString(36)}`;
+
+export const makeGateEntry = ({ attemptId, questionIndex, questionCount, question, answer, result, now = Date.now() }) => ({
+  attemptId,
+  questionIndex,
+  questionCount,
+  question,
+  answer,
+  ...result,
+  at: now,
+});
+
+// The passed answers of one gate attempt, in question order: what gets archived as the synthesis.
+export const synthesisFromEntries = (entries) =>
+  entries
+    .filter(e => e.passed)
+    .sort((a, b) => a.questionIndex - b.questionIndex)
+    .map(e => `Q: ${e.question}\nA: ${e.answer}`)
+    .join('\n');
+
+// Group a node's history by attempt, oldest first. An attempt passed once every one of its questions was passed.
+export const groupAttempts = (history = []) => {
+  const attempts = new Map();
+  history.forEach(entry => {
+    if (!attempts.has(entry.attemptId)) attempts.set(entry.attemptId, []);
+    attempts.get(entry.attemptId).push(entry);
+  });
+  return [...attempts.entries()].map(([attemptId, entries]) => ({
+    attemptId,
+    entries,
+    startedAt: entries[0].at,
+    passed: new Set(entries.filter(e => e.passed).map(e => e.questionIndex)).size === entries[0].questionCount,
+  }));
+};
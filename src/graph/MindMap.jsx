@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { ZoomIn, ZoomOut, Maximize, Download, ImageDown } from 'lucide-react';
+import { getActive } from '../stack/stackReducer';
+import { downloadFile, sessionFileName } from '../storage/sessionTransfer';
+import { layoutTree, nodeStatus, pathIdsOf, STATUS_COLORS, NODE_W, NODE_H } from './treeLayout';
+import { useI18n } from '../i18n';
+
+const PADDING = 24;
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 3;
+
+const clampZoom = (k) => Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, k));
+
+const truncate = (text, max = 20) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+// Graph tab of the Action-First console: the learning tree as a pannable,
+// zoomable node-link diagram. Clicking a node selects it and calls `onNodeClick`.
+export default function MindMap({ stack, selectedId, onNodeClick, session = {} }) {
+  const { t } = useI18n();
+  const containerRef = useRef(null);
+  const svgRef = useRef(null);
+  const dragRef = useRef(null); // { x, y, viewX, viewY } while panning
+  const [view, setView] = useState({ x: PADDING, y: PADDING, k: 1 });
+
+  const layout = useMemo(() => layoutTree(stack), [stack]);
+  const activeNode = getActive(stack);
+  const pathIds = pathIdsOf(stack, activeNode?.id);
+
+  const fit = () => {
+    const box = containerRef.current?.getBoundingClientRect();
+    if (!box) return;
+    const k = clampZoom(Math.min(1, (box.width - 2 * PADDING) / (layout.width + NODE_W), (box.height - 2 * PADDING) / (layout.height + NODE_H)));
+    setView({ k, x: (box.width - (layout.width + NODE_W) * k) / 2 + (NODE_W / 2) * k, y: PADDING + (NODE_H / 2) * k });
+  };
+
+  // Re-fit when the tree grows or shrinks
+  useEffect(fit, [stack.length]);
+
+  // Wheel zoom around the cursor (non-passive, so the page does not scroll)
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const box = el.getBoundingClientRect();
+      const cx = e.clientX - box.left;
+      const cy = e.clientY - box.top;
+      setView(v => {
+        const k = clampZoom(v.k * (e.deltaY < 0 ? 1.1 : 1 / 1.1));
+        return { k, x: cx - ((cx - v.x) * k) / v.k, y: cy - ((cy - v.y) * k) / v.k };
+      });
+    };
+    el.addEventListener('wheel', handleWheel, { passive: false });
+    return () => el.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const zoomBy = (factor) => {
+    const box = containerRef.current.getBoundingClientRect();
+    const cx = box.width / 2;
+    const cy = box.height / 2;
+    setView(v => {
+      const k = clampZoom(v.k * factor);
+      return { k, x: cx - ((cx - v.x) * k) / v.k, y: cy - ((cy - v.y) * k) / v.k };
+    });
+  };
+
+  // Focus: bring the clicked node to the center of the view
+  const handleNodeClick = (node) => {
+    const pos = layout.positions.get(node.id);
+    const box = containerRef.current.getBoundingClientRect();
+    setView(v => ({ ...v, x: box.width / 2 - pos.x * v.k, y: box.height / 2 - pos.y * v.k }));
+    onNodeClick(node);
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.target.closest('[data-node]')) return;
+    dragRef.current = { x: e.clientX, y: e.clientY, viewX: view.x, viewY: view.y };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    setView(v => ({ ...v, x: drag.viewX + e.clientX - drag.x, y: drag.viewY + e.clientY - drag.y }));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  // --- Export: a standalone copy of the drawing, cropped to the tree ---
+  const buildStandaloneSvg = () => {
+    const clone = svgRef.current.cloneNode(true);
+    const width = layout.width + NODE_W + 2 * PADDING;
+    const height = layout.height + NODE_H + 2 * PADDING;
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    clone.querySelector('[data-viewport]').setAttribute('transform', `translate(${PADDING + NODE_W / 2}, ${PADDING + NODE_H / 2})`);
+    const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    background.setAttribute('width', '100%');
+    background.setAttribute('height', '100%');
+    background.setAttribute('fill', '#020617');
+    clone.insertBefore(background, clone.firstChild);
+    return { markup: new XMLSerializer().serializeToString(clone), width, height };
+  };
+
+  const handleExportSvg = () => {
+    downloadFile(sessionFileName(session, 'svg'), buildStandaloneSvg().markup, 'image/svg+xml');
+  };
+
+  const handleExportPng = () => {
+    const { markup, width, height } = buildStandaloneSvg();
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+      const scale = 2;
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => downloadFile(sessionFileName(session, 'png'), blob, 'image/png'), 'image/png');
+    };
+    image.src = url;
+  };
+
+  if (stack.length === 0) return <div className="text-slate-500 text-xs text-center mt-10">{t('common.waitingForInit')}</div>;
+
+  return (
+    <div className="h-full flex flex-col gap-2">
+      <div className="flex items-center gap-1 text-slate-400">
+        <button title={t('graph.zoomIn')} onClick={() => zoomBy(1.2)} className="p-1.5 rounded hover:bg-slate-800 hover:text-white"><ZoomIn size={14}/></button>
+        <button title={t('graph.zoomOut')} onClick={() => zoomBy(1 / 1.2)} className="p-1.5 rounded hover:bg-slate-800 hover:text-white"><ZoomOut size={14}/></button>
+        <button title={t('graph.fit')} onClick={fit} className="p-1.5 rounded hover:bg-slate-800 hover:text-white"><Maximize size={14}/></button>
+        <div className="flex-1"></div>
+        <button title={t('graph.exportSvg')} onClick={handleExportSvg} className="p-1.5 rounded hover:bg-slate-800 hover:text-white flex items-center gap-1 text-[10px] font-bold"><Download size={14}/> SVG</button>
+        <button title={t('graph.exportPng')} onClick={handleExportPng} className="p-1.5 rounded hover:bg-slate-800 hover:text-white flex items-center gap-1 text-[10px] font-bold"><ImageDown size={14}/> PNG</button>
+      </div>
+
+      <div
+        ref={containerRef}
+        className="flex-1 min-h-0 rounded border border-slate-800 bg-slate-950 overflow-hidden cursor-grab active:cursor-grabbing touch-none"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+      >
+        <svg ref={svgRef} width="100%" height="100%" fontFamily="ui-sans-serif, system-ui, sans-serif">
+          <g data-viewport="" transform={`translate(${view.x}, ${view.y}) scale(${view.k})`}>
+            {layout.edges.map(edge => {
+              const midY = (edge.from.y + edge.to.y) / 2;
+              return (
+                <path
+                  key={edge.id}
+                  d={`M ${edge.from.x} ${edge.from.y + NODE_H / 2} C ${edge.from.x} ${midY}, ${edge.to.x} ${midY}, ${edge.to.x} ${edge.to.y - NODE_H / 2}`}
+                  fill="none"
+                  stroke={pathIds.has(edge.id) ? '#6366f1' : '#334155'}
+                  strokeWidth={pathIds.has(edge.id) ? 2 : 1.5}
+                />
+              );
+            })}
+
+            {stack.map(node => {
+              const pos = layout.positions.get(node.id);
+              if (!pos) return null;
+              const colors = STATUS_COLORS[nodeStatus(node)];
+              const isParent = activeNode && node.id === activeNode.parentId;
+              const isSelected = node.id === selectedId;
+              return (
+                <g
+                  key={node.id}
+                  data-node=""
+                  transform={`translate(${pos.x - NODE_W / 2}, ${pos.y - NODE_H / 2})`}
+                  onClick={() => handleNodeClick(node)}
+                  className="cursor-pointer"
+                >
+                  <title>{`${node.topic} (${t(`graph.status.${nodeStatus(node)}`)})${isParent ? t('graph.clickToGate') : ''}`}</title>
+                  <rect
+                    width={NODE_W}
+                    height={NODE_H}
+                    rx={8}
+                    fill={colors.fill}
+                    stroke={isSelected ? '#f8fafc' : colors.stroke}
+                    strokeWidth={isSelected ? 2.5 : 1.5}
+                    strokeDasharray={isParent ? '5 3' : undefined}
+                  />
+                  <text x={NODE_W / 2} y={NODE_H / 2} textAnchor="middle" dominantBaseline="central" fontSize={12} fontWeight={node.status === 'Active' ? 700 : 500} fill={colors.text}>
+                    {truncate(node.topic)}
+                  </text>
+                </g>
+              );
+            })}
+          </g>
+        </svg>
+      </div>
+
+      <div className="flex gap-3 text-[10px] text-slate-500">
+        {Object.entries(STATUS_COLORS).map(([status, colors]) => (
+          <span key={status} className="flex items-center gap-1">
+            <span className="w-2.5 h-2.5 rounded-sm border" style={{ background: colors.fill, borderColor: colors.stroke }}></span>{t(`graph.status.${status}`)}
+          </span>
+        ))}
+        <span className="ml-auto">{t('graph.hint')}</span>
+      </div>
+    </div>
+  );
+}
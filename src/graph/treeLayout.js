@@ -0,0 +1,59 @@
+import { getChildren, getPath } from '../stack/stackReducer';
+
+// --- TREE LAYOUT ---
+// A tidy top-down layout for the mind map: every leaf gets its own column, a
+// parent is centered over its children, and each level is one row.
+
+export const NODE_W = 150;
+export const NODE_H = 40;
+const GAP_X = 24;
+const GAP_Y = 56;
+
+export const layoutTree = (stack) => {
+  const positions = new Map();
+  let nextColumn = 0;
+
+  const place = (node) => {
+    const children = getChildren(stack, node.id);
+    let column;
+    if (children.length === 0) {
+      column = nextColumn++;
+    } else {
+      const columns = children.map(place);
+      column = (columns[0] + columns[columns.length - 1]) / 2;
+    }
+    positions.set(node.id, { x: column * (NODE_W + GAP_X), y: node.level * (NODE_H + GAP_Y) });
+    return column;
+  };
+  stack.filter(n => !n.parentId).forEach(place);
+
+  const edges = stack
+    .filter(n => n.parentId && positions.has(n.parentId))
+    .map(n => ({ from: positions.get(n.parentId), to: positions.get(n.id), id: n.id }));
+
+  const maxLevel = Math.max(0, ...stack.map(n => n.level));
+  return {
+    positions,
+    edges,
+    width: Math.max(1, nextColumn) * (NODE_W + GAP_X) - GAP_X,
+    height: (maxLevel + 1) * (NODE_H + GAP_Y) - GAP_Y,
+  };
+};
+
+// Status used for coloring. "Gated" = a gate was attempted on the node but it is not Done yet.
+export const nodeStatus = (node) => {
+  if (node.status === 'Done') return 'done';
+  if (node.status === 'Active') return 'active';
+  if (node.gateHistory?.length) return 'gated';
+  return 'waiting';
+};
+
+// Inline colors (not CSS classes) so an exported SVG looks the same outside the app.
+export const STATUS_COLORS = {
+  active: { fill: '#312e81', stroke: '#818cf8', text: '#ffffff' },
+  waiting: { fill: '#0f172a', stroke: '#475569', text: '#cbd5e1' },
+  gated: { fill: '#451a03', stroke: '#f59e0b', text: '#fde68a' },
+  done: { fill: '#022c22', stroke: '#10b981', text: '#a7f3d0' },
+};
+
+export const pathIdsOf = (stack, activeId) => new Set(activeId ? getPath(stack, activeId).map(n => n.id) : []);
@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import { Undo2, Redo2, History, RotateCcw, GitFork } from 'lucide-react';
+import { getActive } from '../stack/stackReducer';
+import { canUndo, canRedo } from './timeline';
+import { useI18n } from '../i18n';
+
+// Bottom bar of the console: undo/redo plus a slider over every recorded
+// snapshot. Sliding only previews a snapshot; Restore or Fork acts on it.
+export default function TimelineBar({ timeline, disabled, onRestore, onFork }) {
+  const { t } = useI18n();
+  const [previewIndex, setPreviewIndex] = useState(timeline.index);
+
+  // Follow the working state whenever it moves (new snapshot, undo, redo). Keyed on the
+  // current entry's id: once the timeline is full, index and length no longer change.
+  const currentId = timeline.entries[timeline.index]?.id;
+  useEffect(() => {
+    setPreviewIndex(timeline.index);
+  }, [currentId]);
+
+  const preview = timeline.entries[previewIndex];
+  const isCurrent = previewIndex === timeline.index;
+
+  if (!preview) return null;
+
+  return (
+    <div className="border-t border-slate-800 p-3 space-y-2 bg-slate-900">
+      <div className="flex items-center gap-2">
+        <button title={t('timeline.undo')} disabled={disabled || !canUndo(timeline)} onClick={() => onRestore(timeline.index - 1)} className="p-1 text-slate-400 hover:text-white disabled:opacity-30"><Undo2 size={14}/></button>
+        <button title={t('timeline.redo')} disabled={disabled || !canRedo(timeline)} onClick={() => onRestore(timeline.index + 1)} className="p-1 text-slate-400 hover:text-white disabled:opacity-30"><Redo2 size={14}/></button>
+        <History size={12} className="text-slate-500 ml-1"/>
+        <input
+          type="range"
+          min={0}
+          max={timeline.entries.length - 1}
+          value={previewIndex}
+          disabled={disabled || timeline.entries.length < 2}
+          onChange={e => setPreviewIndex(Number(e.target.value))}
+          className="flex-1 accent-indigo-500"
+        />
+        <span className="text-[10px] font-mono text-slate-500 w-12 text-right">{previewIndex + 1}/{timeline.entries.length}</span>
+      </div>
+
+      <div className="flex items-center gap-2 text-[10px]">
+        <div className="flex-1 min-w-0">
+          <div className={`truncate font-bold ${isCurrent ? 'text-slate-300' : 'text-amber-300'}`}>{preview.label}</div>
+          <div className="text-slate-500 font-mono truncate">
+            {new Date(preview.at).toLocaleTimeString()} · {t('timeline.summary', { nodes: preview.stack.length, messages: preview.messages.length, topic: getActive(preview.stack)?.topic })}
+          </div>
+        </div>
+        {!isCurrent && (
+          <button disabled={disabled} onClick={() => onRestore(previewIndex)} className="px-2 py-1 rounded bg-indigo-600/20 text-indigo-300 hover:bg-indigo-600 hover:text-white font-bold flex items-center gap-1 disabled:opacity-40">
+            <RotateCcw size={12}/> {t('timeline.restore')}
+          </button>
+        )}
+        <button disabled={disabled} onClick={() => onFork(previewIndex)} title={t('timeline.forkHint')} className="px-2 py-1 rounded text-slate-400 hover:bg-slate-800 hover:text-white font-bold flex items-center gap-1 disabled:opacity-40">
+          <GitFork size={12}/> {t('timeline.fork')}
+        </button>
+      </div>
+    </div>
+  );
+}
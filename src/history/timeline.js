@@ -0,0 +1,37 @@
+// --- SNAPSHOT TIMELINE ---
+// Every meaningful change (a model action, a gate pop, a manual edit) records a
+// snapshot of { stack, cache, messages }. `index` points at the snapshot the
+// working state currently matches: undo/redo move it, and recording a new
+// snapshot after an undo drops the redo branch, like an editor.
+//
+// Snapshots share unchanged arrays with each other (state is never mutated),
+// so keeping a long timeline in memory is cheap. It is not persisted.
+
+const MAX_SNAPSHOTS = 200;
+
+export const emptyTimeline = () => ({ entries: [], index: -1 });
+
+export const makeSnapshot = (label, { stack, cache, messages }) => ({
+  id: `t-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  label,
+  at: Date.now(),
+  stack,
+  cache,
+  messages,
+});
+
+export const recordSnapshot = (timeline, snapshot) => {
+  const entries = [...timeline.entries.slice(0, timeline.index + 1), snapshot].slice(-MAX_SNAPSHOTS);
+  return { entries, index: entries.length - 1 };
+};
+
+export const canUndo = (timeline) => timeline.index > 0;
+
+export const canRedo = (timeline) => timeline.index < timeline.entries.length - 1;
+
+export const moveTo = (timeline, index) => ({
+  ...timeline,
+  index: Math.max(0, Math.min(timeline.entries.length - 1, index)),
+});
+
+export const currentSnapshot = (timeline) => timeline.entries[timeline.index];
@@ -0,0 +1,353 @@
+// --- UI STRINGS: ENGLISH ---
+// Keep the key structure identical in every dictionary (see i18n/index.js).
+
+const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+
+export default {
+  common: {
+    cancel: 'Cancel',
+    back: 'Back',
+    next: 'Next',
+    rename: 'Rename',
+    delete: 'Delete',
+    current: 'CURRENT',
+    grading: 'Grading...',
+    stopGenerating: 'Stop generating',
+    sessionLibrary: 'Session Library',
+    waitingForInit: 'Waiting for initialization...',
+  },
+
+  shell: {
+    provider: 'Provider',
+    apiKey: 'API Key',
+    optional: '(optional)',
+    baseUrl: 'Base URL',
+    useProxy: 'Use the local proxy (the key stays on the server)',
+    proxyReady: 'Key held by the proxy at {url}',
+    proxyNoKey: 'The proxy has no {provider} key. Set it in .env.local and restart.',
+    model: 'Model',
+    protocol: 'Protocol',
+    uiLanguage: 'Interface Language',
+    learningLanguage: 'Learning Language',
+    learningLanguageHint: 'Explanations and checkpoint questions',
+    gateMode: 'When I Say "Got It"',
+    gateModeAuto: 'Open the checkpoint automatically',
+    gateModeAsk: 'Ask me first',
+    gateModeOff: "Do nothing (I'll click the parent)",
+    historyBudget: 'History Budget (tokens)',
+    promptBudget: 'Prompt Budget (tokens)',
+    promptBudgetHint: 'Longer chat prompts are trimmed: stack, sources, memory',
+    goal: 'Learning Goal',
+    start: 'Start Recursive Engine',
+    planRoadmap: 'Plan a prerequisite roadmap first',
+    import: 'Import Session (.json / Stack-Doc .md)',
+    importFailed: 'Import failed: {message}',
+    confirmDelete: 'Delete this learning session?',
+    reviewDue: 'Review due today',
+    cards: ({ n }) => plural(n, 'card', 'cards'),
+    savedSessions: 'Saved Sessions',
+    depth: 'Depth {n}',
+    resume: 'Resume',
+    duplicate: 'Duplicate',
+    copyTitle: '{title} (copy)',
+    analytics: 'Learning analytics',
+  },
+
+  engines: {
+    'action-first': 'The model proposes one action per reply; the app applies it to a node tree. Gates, mind map, memory, sources and timeline.',
+    'stack-doc': 'The model rewrites one readable markdown document every turn. Minimal, transparent, easy to copy into notes.',
+  },
+
+  // System messages posted into the chat by the app itself
+  system: {
+    startedActionFirst: 'Learning stream started. Goal: {goal}. Ask your first question.',
+    startedStackDoc: 'Recursive learning started. Goal: {goal}. Ask your first question, or let me break the topic down for you.',
+    roadmapAccepted: ({ n, next }) => `🗺️ Roadmap accepted: ${plural(n, 'planned topic', 'planned topics')}. Suggested start: ${next}.`,
+    repair: '🔧 The {block} does not follow the protocol ({errors}); asking the model to fix it ({attempt}/{max})...',
+    actionBlock: 'action block',
+    docBlock: 'document block',
+    rejectedTransition: '⚠️ Rejected state change ({action}): {error}',
+    rejectedEdit: '⚠️ Rejected edit ({action}): {error}',
+    stopped: '⏹ Generation stopped.',
+    stoppedDocUnchanged: '⏹ Generation stopped; the document was not updated.',
+    docUnchanged: '{error} The document was not updated.',
+    backtrackHint: 'Looks like you want to back up (→ {target}). Click the parent node on the right to take the checkpoint, or keep asking.',
+    newSibling: '🌿 New sibling branch: {topic}',
+    gatePassed: '✅ Checkpoint passed. The stack is back at: {topic}',
+    renamed: '✏️ Renamed: {from} → {to}',
+    addedChild: '➕ Added sub-topic: {topic} (under {parent})',
+    addedSibling: '➕ Added topic: {topic}',
+    deleted: '🗑️ Deleted branch: {topic}',
+    movedBefore: '🔀 Moved: {topic} (before {target})',
+    movedInto: '🔀 Moved: {topic} → {target}',
+    activated: '↩️ Back into branch: {topic}',
+    noResponse: 'No response',
+    providerMissing: 'Enter a {provider} API key on the start screen first.',
+    unknownCommand: '❔ Unknown command /{name}. Type / to see the commands.',
+    commandUsage: '❔ Usage: {usage}',
+    commandUnavailable: '❔ /{name} is not available in this protocol.',
+    nodeNotFound: '❔ No node matches "{query}".',
+    noParent: '❔ The root goal has no parent to go back to.',
+    pushed: '⤵️ Drilled into: {topic}',
+    popped: '⤴️ Back to {topic} (no checkpoint)',
+    summaryFailed: '📝 Could not summarize the thread of {topic}, so older messages may drop out of memory. {error}',
+  },
+
+  // Labels of the time-travel snapshots
+  snapshot: {
+    started: 'Session started',
+    opened: 'Session opened',
+    chatTurn: 'Chat turn',
+    model: 'Model: {action}',
+    rejected: '(rejected)',
+    manual: 'Manual: {description}',
+    gatePopped: 'Gate: popped "{topic}"',
+  },
+
+  editor: {
+    promptChild: 'New sub-topic under "{topic}":',
+    promptSibling: 'New topic next to "{topic}":',
+    promptNewBranch: 'New sibling branch next to "{topic}":',
+    confirmDelete: 'Delete "{topic}" and everything under it?',
+    activate: 'Make this the Active node',
+    addChild: 'Add sub-topic',
+    addSibling: 'Add topic next to it',
+    deleteBranch: 'Delete branch',
+  },
+
+  // Slash commands (descriptions) and the Ctrl+K palette
+  commands: {
+    push: 'Drill into a new sub-topic',
+    pop: 'Mark the current node done and back up one level, without a checkpoint',
+    gate: 'Take the checkpoint on the current node',
+    stay: 'Ask about the current node without changing the stack',
+    source: 'Open the source library',
+    goto: 'Make a node the Active one',
+    export: 'Download the session (json or md)',
+    args: {
+      topic: 'topic',
+      question: 'question',
+      node: 'node',
+      format: 'json|md',
+    },
+  },
+
+  palette: {
+    placeholder: 'Type a command or a node...',
+    empty: 'No matches',
+    actions: 'Actions',
+    nodes: 'Nodes',
+    goTo: 'Go to',
+    footer: '↑↓ move · Enter run · Esc close · Alt+arrows move through the stack',
+    shortcut: 'Commands (Ctrl+K)',
+  },
+
+  chat: {
+    title: 'Exploration Stream',
+    threadFilter: "Show one node's thread",
+    allThreads: 'All threads',
+    thread: 'Thread:',
+    exportJson: 'Export session (JSON)',
+    exportMd: 'Export session (Stack-Doc markdown)',
+    protocolActive: 'Action-First Protocol Active',
+    thinking: 'Thinking & Updating Stack...',
+    gateOffer: 'Ready to prove it and back up to {target}{levels}?',
+    gateOfferLevels: ({ n }) => `(${plural(n, 'level', 'levels')})`,
+    startCheckpoint: 'Start checkpoint',
+    notYet: 'Not yet',
+    placeholder: 'Ask a follow-up question...',
+    copyCode: 'Copy code',
+    quoteNotFound: 'Quote not found in the source: "{quote}"',
+  },
+
+  console: {
+    stack: 'Mind Stack',
+    graph: 'Graph',
+    cache: 'Cache',
+    source: 'Source',
+    level: 'Lvl {n}',
+    done: 'Done',
+    grounded: ({ n }) => `Grounded in ${plural(n, 'source passage', 'source passages')}`,
+    passages: ({ n }) => plural(n, 'source passage', 'source passages'),
+    showThread: "Show this node's thread",
+    startSibling: 'Start a sibling branch',
+    cacheEmpty: 'Approved gate syntheses will be archived here...',
+    serves: 'Serves → {topic}',
+  },
+
+  doc: {
+    title: 'Execution Stream',
+    rootGoal: 'Root Goal',
+    notSet: 'Not set',
+    stack: 'Recursive Stack',
+    emptyStack: 'Empty stack',
+    cache: 'Knowledge Cache',
+    cacheEmpty: 'Completed concepts will appear here...',
+    updating: 'Updating Stack...',
+    placeholder: "Ask a question or say 'I understand'...",
+    tip: 'Tip: Ask "What is X?" to Push. Say "I understand" to Pop. Type / for commands, Ctrl+K for the palette.',
+    memory: 'Stack-Doc (Memory)',
+    copy: 'Copy',
+    exportMd: 'Export session as Stack-Doc markdown',
+    exportJson: 'Export session as JSON',
+    raw: 'Raw State (Debug)',
+  },
+
+  gate: {
+    title: 'Knowledge Checkpoint',
+    question: 'Question {n} / {total}',
+    connecting: 'Connecting',
+    moreLevels: ({ n }) => ` · ${plural(n, 'more level', 'more levels')} after this`,
+    preparing: 'Preparing questions...',
+    placeholder: 'Answer in your own words...',
+    approved: 'Approved',
+    correct: 'Correct',
+    refine: 'Refinement Needed',
+    history: 'Attempt history ({n})',
+    passed: 'passed',
+    notPassed: 'not passed',
+    nextQuestion: 'Next Question',
+    continue: 'Continue',
+    tryAgain: 'Try Again',
+    submit: 'Submit Answer',
+    rubric: {
+      accuracy: 'Accuracy',
+      connection: 'Connection',
+      ownWords: 'Own words',
+    },
+  },
+
+  review: {
+    title: 'Review',
+    allDone: 'All due cards reviewed.',
+    nothingDue: 'Nothing due today.',
+    recall: 'Recall',
+    question: 'From memory: what is it, and how does it serve its parent?',
+    quality: ({ q, days }) => `Quality ${q}/5 · next review in ${plural(days, 'day', 'days')}`,
+    originalSynthesis: 'Your original synthesis',
+    check: 'Check Recall',
+    providerMissing: 'Configure a provider on the start screen first.',
+  },
+
+  source: {
+    library: 'Library',
+    documents: 'Documents ({n})',
+    chunksUsed: ({ n }) => `${plural(n, 'chunk', 'chunks')} used in last prompt`,
+    empty: 'No sources yet. Add a paper, notes or code below.',
+    chars: '{n} chars',
+    hits: ({ n }) => plural(n, 'hit', 'hits'),
+    remove: 'Remove',
+    extracting: 'Extracting text...',
+    upload: 'Upload .md / .txt / code / .pdf',
+    name: 'Name (optional)',
+    pastePlaceholder: '// Paste code or text here...',
+    add: 'Add to library',
+    pastedName: 'Pasted text {n}',
+    pastedDefault: 'Pasted text',
+    readFailed: 'Could not read file: {message}',
+    storageFull: 'Not added: browser storage is full. Remove a document here or delete old sessions, then try again.',
+  },
+
+  graph: {
+    zoomIn: 'Zoom in',
+    zoomOut: 'Zoom out',
+    fit: 'Fit to view',
+    exportSvg: 'Export as SVG',
+    exportPng: 'Export as PNG',
+    clickToGate: ' — click to start the gate',
+    hint: 'Drag to pan · scroll to zoom',
+    status: {
+      active: 'Active',
+      waiting: 'Waiting',
+      gated: 'Gated',
+      done: 'Done',
+    },
+  },
+
+  timeline: {
+    undo: 'Undo',
+    redo: 'Redo',
+    summary: '{nodes} nodes · {messages} messages · at "{topic}"',
+    restore: 'Restore',
+    fork: 'Fork',
+    forkHint: 'Start a new session from this snapshot',
+    forkTitle: '{title} (fork)',
+  },
+
+  roadmap: {
+    title: 'Roadmap: {goal}',
+    intro: 'Prerequisites the goal builds on, in suggested learning order. Edit, reorder or re-parent topics; accepted topics become waiting nodes you can enter any time.',
+    generating: 'Drafting a roadmap...',
+    empty: 'No topics yet. Add some below or regenerate.',
+    providerMissing: 'Configure a provider on the start screen first.',
+    difficulty: 'Difficulty',
+    level: ({ n }) => `${'★'.repeat(n)} ${n}`,
+    parent: 'Prerequisite of',
+    underGoal: '(the goal)',
+    earlier: 'Earlier',
+    later: 'Later',
+    addPlaceholder: 'Add a topic...',
+    add: 'Add',
+    regenerate: 'Regenerate',
+    skip: 'Skip planning',
+    accept: ({ n }) => `Start with ${plural(n, 'topic', 'topics')}`,
+    progress: '{done}/{total} planned',
+    next: 'Next: {topic}',
+    planned: 'Planned #{order} · difficulty {difficulty}/5',
+  },
+
+  usage: {
+    total: '{tokens} tok',
+    calls: ({ n }) => `${plural(n, 'model call', 'model calls')} in this session`,
+    split: 'Prompt {prompt} · output {output} tokens',
+    estimated: ({ n }) => `${plural(n, 'call', 'calls')} without a usage report: tokens estimated`,
+    unpriced: ({ n }) => `${plural(n, 'call', 'calls')} to a model with no known price: not in the cost`,
+    lastPrompt: 'Last prompt ~{tokens} tokens (budget {budget})',
+    trimmed: 'Trimmed from ~{from}: {steps}',
+    over: 'Still over budget: the instructions, your message and a Stack-Doc document are never cut',
+    steps: {
+      stack: 'stack compacted',
+      source: 'source passages dropped',
+      memory: 'conversation memory shortened',
+      cache: 'knowledge cache narrowed',
+    },
+  },
+
+  analytics: {
+    title: 'Learning Analytics',
+    allSessions: 'All sessions',
+    empty: 'Nothing recorded yet. Events are logged as you learn.',
+    deletedSession: '(deleted session)',
+    activeTime: 'Active time',
+    maxDepth: 'Max depth',
+    passRate: 'Gate pass rate',
+    pushes: 'Drill-downs',
+    depthOverTime: 'Depth over time',
+    notEnoughData: 'Not enough data yet.',
+    timePerNode: 'Time per node',
+    sessions: 'Sessions',
+    session: 'Session',
+    hardest: 'Hardest concepts',
+    noneHard: 'No concept needed more than one try so far.',
+    failedAnswers: ({ n }) => plural(n, 'failed answer', 'failed answers'),
+    attempts: ({ n }) => plural(n, 'attempt', 'attempts'),
+    drillDowns: ({ n }) => plural(n, 'drill-down', 'drill-downs'),
+    approved: 'approved',
+    stuck: 'not passed yet',
+  },
+
+  storage: {
+    full: 'Browser storage is full: this change was not saved. Remove large source documents or delete old sessions.',
+    saveFailed: 'This change could not be saved: {message}',
+  },
+
+  errors: {
+    auth: '🔑 Authentication failed: check the API key or your access to the model.',
+    quota: '⏳ Rate limit / quota: too many requests or the quota is used up. Try again later.',
+    safety: '🛡️ Blocked by the provider: the request or the answer was filtered. Try rephrasing.',
+    network: '📡 Network error: the model service could not be reached. Check your connection or the Base URL.',
+    server: '🔥 Server error: the model service is unavailable right now. Try again later.',
+    request: '⚠️ Request rejected: check the model name and parameters.',
+    protocol: '🧩 Format error: the model kept ignoring the protocol; the state was not changed.',
+  },
+};
@@ -0,0 +1,45 @@
+import { createContext, useContext } from 'react';
+import en from './en';
+import zh from './zh';
+
+// --- I18N ---
+// Two languages are chosen separately in the settings:
+//   uiLanguage        labels, buttons and the app's own system messages (dictionaries below)
+//   learningLanguage  what the model is asked to explain and examine in; every prompt
+//                     keeps its variants next to its code as { zh, en } and is picked
+//                     with pickLanguage()
+// Dictionary values are strings with {name} placeholders, or functions of the
+// params when the wording depends on a number (plurals).
+
+export const LANGUAGES = {
+  en: 'English',
+  zh: '中文',
+};
+
+const DICTIONARIES = { en, zh };
+
+// First-run default for both settings
+export const detectLanguage = () =>
+  (typeof navigator !== 'undefined' && /^zh/i.test(navigator.language || '') ? 'zh' : 'en');
+
+const lookup = (dictionary, key) => key.split('.').reduce((node, part) => node?.[part], dictionary);
+
+// Missing keys fall back to English, then to the key itself so a gap is visible instead of blank
+export const translate = (lang, key, params = {}) => {
+  const value = lookup(DICTIONARIES[lang], key) ?? lookup(en, key) ?? key;
+  if (typeof value === 'function') return value(params);
+  return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+};
+
+export const createT = (lang) => (key, params) => translate(lang, key, params);
+
+export const pickLanguage = (variants, lang) => variants[lang] ?? variants.en;
+
+// Prompt placeholder for an empty section
+export const EMPTY = { zh: '无', en: 'none' };
+
+// --- React ---
+// The shell provides { lang, t } for the UI language; components read it with useI18n().
+export const I18nContext = createContext({ lang: 'en', t: createT('en') });
+
+export const useI18n = () => useContext(I18nContext);
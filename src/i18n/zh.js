@@ -0,0 +1,348 @@
+// --- UI STRINGS: 中文 ---
+// Keep the key structure identical in every dictionary (see i18n/index.js).
+
+export default {
+  common: {
+    cancel: '取消',
+    back: '返回',
+    next: '下一张',
+    rename: '重命名',
+    delete: '删除',
+    current: '当前',
+    grading: '评分中...',
+    stopGenerating: '停止生成',
+    sessionLibrary: '会话库',
+    waitingForInit: '等待初始化...',
+  },
+
+  shell: {
+    provider: '模型服务',
+    apiKey: 'API Key',
+    optional: '(可选)',
+    baseUrl: 'Base URL',
+    useProxy: '使用本地代理 (API Key 只保存在服务器端)',
+    proxyReady: 'API Key 由 {url} 上的代理持有',
+    proxyNoKey: '代理没有 {provider} 的 API Key。请在 .env.local 中设置后重启。',
+    model: '模型',
+    protocol: '协议',
+    uiLanguage: '界面语言',
+    learningLanguage: '学习语言',
+    learningLanguageHint: '讲解与验证问题使用的语言',
+    gateMode: '当我说 "懂了"',
+    gateModeAuto: '自动打开验证',
+    gateModeAsk: '先问我',
+    gateModeOff: '什么都不做 (我自己点父节点)',
+    historyBudget: '对话记忆预算 (tokens)',
+    promptBudget: '提示词预算 (tokens)',
+    promptBudgetHint: '超出时依次精简：栈、资料片段、对话记忆',
+    goal: '学习目标',
+    start: '启动递归引擎',
+    planRoadmap: '先规划前置知识路线',
+    import: '导入会话 (.json / Stack-Doc .md)',
+    importFailed: '导入失败: {message}',
+    confirmDelete: '删除这个学习会话？',
+    reviewDue: '今日待复习',
+    cards: ({ n }) => `${n} 张卡片`,
+    savedSessions: '已保存的会话',
+    depth: '深度 {n}',
+    resume: '继续',
+    duplicate: '复制',
+    copyTitle: '{title} (副本)',
+    analytics: '学习分析',
+  },
+
+  engines: {
+    'action-first': '模型每轮只提出一个 action，由应用更新节点树。支持验证门、思维导图、对话记忆、资料库与时间线。',
+    'stack-doc': '模型每轮重写一份可读的 markdown 文档。极简、透明，方便复制到笔记。',
+  },
+
+  system: {
+    startedActionFirst: '深度学习流已启动。目标：{goal}。请提出第一个问题。',
+    startedStackDoc: '递归学习系统已启动。目标设定为: {goal}。请提出你的第一个问题，或者让我为你拆解这个主题。',
+    roadmapAccepted: ({ n, next }) => `🗺️ 已采用学习路线：${n} 个规划主题。建议从「${next}」开始。`,
+    repair: '🔧 {block}不符合协议 ({errors})，正在请求修正 ({attempt}/{max})...',
+    actionBlock: 'Action 块',
+    docBlock: '文档块',
+    rejectedTransition: '⚠️ 已拒绝状态转换 ({action}): {error}',
+    rejectedEdit: '⚠️ 已拒绝编辑 ({action}): {error}',
+    stopped: '⏹ 已停止生成。',
+    stoppedDocUnchanged: '⏹ 已停止生成，文档未更新。',
+    docUnchanged: '{error} 文档未更新。',
+    backtrackHint: '检测到回溯意图 (→ {target})。请点击右侧父节点进行验证，或继续提问。',
+    newSibling: '🌿 新的平行分支: {topic}',
+    gatePassed: '✅ 验证通过。思维栈已回溯至: {topic}',
+    renamed: '✏️ 重命名: {from} → {to}',
+    addedChild: '➕ 新增子节点: {topic} (在 {parent} 下)',
+    addedSibling: '➕ 新增平行节点: {topic}',
+    deleted: '🗑️ 删除分支: {topic}',
+    movedBefore: '🔀 移动节点: {topic} (移到 {target} 之前)',
+    movedInto: '🔀 移动节点: {topic} → {target}',
+    activated: '↩️ 重新进入分支: {topic}',
+    noResponse: '没有回复',
+    providerMissing: '请先在开始界面输入 {provider} API Key',
+    unknownCommand: '❔ 未知命令 /{name}。输入 / 查看所有命令。',
+    commandUsage: '❔ 用法: {usage}',
+    commandUnavailable: '❔ 当前协议不支持 /{name}。',
+    nodeNotFound: '❔ 没有节点匹配 "{query}"。',
+    noParent: '❔ 根目标没有可以回到的上一层。',
+    pushed: '⤵️ 下钻到: {topic}',
+    popped: '⤴️ 回到 {topic} (未经验证)',
+    summaryFailed: '📝 无法总结 {topic} 的对话，较早的消息可能会被移出记忆。{error}',
+  },
+
+  snapshot: {
+    started: '会话开始',
+    opened: '打开会话',
+    chatTurn: '对话',
+    model: '模型: {action}',
+    rejected: '(已拒绝)',
+    manual: '手动: {description}',
+    gatePopped: '验证: 回溯 "{topic}"',
+  },
+
+  editor: {
+    promptChild: '在 "{topic}" 下新增子主题:',
+    promptSibling: '在 "{topic}" 旁新增主题:',
+    promptNewBranch: '在 "{topic}" 旁开启新的平行分支:',
+    confirmDelete: '删除 "{topic}" 及其下的所有内容？',
+    activate: '设为当前节点',
+    addChild: '新增子主题',
+    addSibling: '新增平行主题',
+    deleteBranch: '删除分支',
+  },
+
+  commands: {
+    push: '下钻到新的子主题',
+    pop: '将当前节点标为完成并回到上一层 (不经验证)',
+    gate: '对当前节点进行验证',
+    stay: '就当前节点提问，不改变思维栈',
+    source: '打开资料库',
+    goto: '把某个节点设为当前节点',
+    export: '下载会话 (json 或 md)',
+    args: {
+      topic: '主题',
+      question: '问题',
+      node: '节点',
+      format: 'json|md',
+    },
+  },
+
+  palette: {
+    placeholder: '输入命令或节点...',
+    empty: '没有匹配项',
+    actions: '操作',
+    nodes: '节点',
+    goTo: '跳转到',
+    footer: '↑↓ 选择 · Enter 执行 · Esc 关闭 · Alt+方向键 在思维栈中移动',
+    shortcut: '命令 (Ctrl+K)',
+  },
+
+  chat: {
+    title: '探索流',
+    threadFilter: '只看一个节点的对话',
+    allThreads: '全部对话',
+    thread: '对话线:',
+    exportJson: '导出会话 (JSON)',
+    exportMd: '导出会话 (Stack-Doc markdown)',
+    protocolActive: 'Action-First 协议运行中',
+    thinking: '思考并更新思维栈...',
+    gateOffer: '准备好证明自己并回溯到 {target}{levels} 了吗？',
+    gateOfferLevels: ({ n }) => `(${n} 层)`,
+    startCheckpoint: '开始验证',
+    notYet: '还没有',
+    placeholder: '继续追问...',
+    copyCode: '复制代码',
+    quoteNotFound: '资料中找不到这段引文: "{quote}"',
+  },
+
+  console: {
+    stack: '思维栈',
+    graph: '图谱',
+    cache: '缓存',
+    source: '资料',
+    level: '第 {n} 层',
+    done: '已完成',
+    grounded: ({ n }) => `依据 ${n} 段原文`,
+    passages: ({ n }) => `${n} 段原文`,
+    showThread: '查看该节点的对话',
+    startSibling: '开启平行分支',
+    cacheEmpty: '通过验证的总结会归档在这里...',
+    serves: '服务于 → {topic}',
+  },
+
+  doc: {
+    title: '执行流',
+    rootGoal: '终极目标',
+    notSet: '未设置',
+    stack: '递归栈',
+    emptyStack: '栈为空',
+    cache: '知识缓存',
+    cacheEmpty: '已掌握的概念会出现在这里...',
+    updating: '正在更新思维栈...',
+    placeholder: '提问，或者说 "懂了"...',
+    tip: '提示: 问 "什么是 X？" 会下钻，说 "懂了" 会回溯。输入 / 使用命令，Ctrl+K 打开命令面板。',
+    memory: 'Stack-Doc (记忆)',
+    copy: '复制',
+    exportMd: '导出为 Stack-Doc markdown',
+    exportJson: '导出为 JSON',
+    raw: '原始状态 (调试)',
+  },
+
+  gate: {
+    title: '知识验证',
+    question: '第 {n} / {total} 题',
+    connecting: '连接',
+    moreLevels: ({ n }) => ` · 之后还有 ${n} 层`,
+    preparing: '正在准备问题...',
+    placeholder: '用你自己的话回答...',
+    approved: '通过',
+    correct: '正确',
+    refine: '还需完善',
+    history: '历史尝试 ({n})',
+    passed: '已通过',
+    notPassed: '未通过',
+    nextQuestion: '下一题',
+    continue: '继续',
+    tryAgain: '再试一次',
+    submit: '提交回答',
+    rubric: {
+      accuracy: '准确',
+      connection: '关联',
+      ownWords: '自己的话',
+    },
+  },
+
+  review: {
+    title: '复习',
+    allDone: '今天的卡片都复习完了。',
+    nothingDue: '今天没有需要复习的卡片。',
+    recall: '回忆',
+    question: '凭记忆回答：它是什么？它如何服务于父概念？',
+    quality: ({ q, days }) => `质量 ${q}/5 · ${days} 天后复习`,
+    originalSynthesis: '你当初的总结',
+    check: '检查回忆',
+    providerMissing: '请先在开始界面配置模型服务。',
+  },
+
+  source: {
+    library: '资料库',
+    documents: '文档 ({n})',
+    chunksUsed: ({ n }) => `上次提问使用了 ${n} 个片段`,
+    empty: '还没有资料。在下面添加论文、笔记或代码。',
+    chars: '{n} 字符',
+    hits: ({ n }) => `${n} 次命中`,
+    remove: '移除',
+    extracting: '正在提取文本...',
+    upload: '上传 .md / .txt / 代码 / .pdf',
+    name: '名称 (可选)',
+    pastePlaceholder: '// 在这里粘贴代码或文本...',
+    add: '加入资料库',
+    pastedName: '粘贴文本 {n}',
+    pastedDefault: '粘贴文本',
+    readFailed: '无法读取文件: {message}',
+    storageFull: '未添加: 浏览器存储已满。请先移除这里的文档或删除旧会话, 再重试。',
+  },
+
+  graph: {
+    zoomIn: '放大',
+    zoomOut: '缩小',
+    fit: '适应窗口',
+    exportSvg: '导出 SVG',
+    exportPng: '导出 PNG',
+    clickToGate: ' — 点击开始验证',
+    hint: '拖动平移 · 滚轮缩放',
+    status: {
+      active: '当前',
+      waiting: '等待',
+      gated: '验证中',
+      done: '完成',
+    },
+  },
+
+  timeline: {
+    undo: '撤销',
+    redo: '重做',
+    summary: '{nodes} 个节点 · {messages} 条消息 · 位于 "{topic}"',
+    restore: '恢复',
+    fork: '分叉',
+    forkHint: '从这个快照开始一个新会话',
+    forkTitle: '{title} (分叉)',
+  },
+
+  roadmap: {
+    title: '学习路线: {goal}',
+    intro: '目标所依赖的前置知识，按建议的学习顺序排列。可以修改、调整顺序或更换父主题；采用后每个主题都会成为等待中的节点，随时可以进入。',
+    generating: '正在拟定学习路线...',
+    empty: '还没有主题。在下面添加，或者重新生成。',
+    providerMissing: '请先在开始界面配置模型服务。',
+    difficulty: '难度',
+    level: ({ n }) => `${'★'.repeat(n)} ${n}`,
+    parent: '作为前置知识服务于',
+    underGoal: '(目标本身)',
+    earlier: '提前',
+    later: '推后',
+    addPlaceholder: '添加主题...',
+    add: '添加',
+    regenerate: '重新生成',
+    skip: '跳过规划',
+    accept: ({ n }) => `采用 ${n} 个主题并开始`,
+    progress: '已完成 {done}/{total}',
+    next: '下一个: {topic}',
+    planned: '规划 #{order} · 难度 {difficulty}/5',
+  },
+
+  usage: {
+    total: '{tokens} tok',
+    calls: ({ n }) => `本会话共调用模型 ${n} 次`,
+    split: '提示 {prompt} · 输出 {output} tokens',
+    estimated: ({ n }) => `${n} 次调用没有返回用量：token 数为估算`,
+    unpriced: ({ n }) => `${n} 次调用的模型没有已知价格：未计入费用`,
+    lastPrompt: '上一条提示词约 {tokens} tokens (预算 {budget})',
+    trimmed: '已从约 {from} 精简：{steps}',
+    over: '仍超出预算：系统指令、你的消息和 Stack-Doc 文档不会被裁剪',
+    steps: {
+      stack: '压缩了栈',
+      source: '删减了资料片段',
+      memory: '缩短了对话记忆',
+      cache: '收窄了知识缓存',
+    },
+  },
+
+  analytics: {
+    title: '学习分析',
+    allSessions: '全部会话',
+    empty: '还没有记录。学习过程中会自动记录事件。',
+    deletedSession: '(已删除的会话)',
+    activeTime: '有效时长',
+    maxDepth: '最大深度',
+    passRate: '验证通过率',
+    pushes: '下钻次数',
+    depthOverTime: '深度随时间变化',
+    notEnoughData: '数据还不够。',
+    timePerNode: '各节点用时',
+    sessions: '会话',
+    session: '会话',
+    hardest: '最难的概念',
+    noneHard: '目前还没有需要多次尝试的概念。',
+    failedAnswers: ({ n }) => `${n} 次答错`,
+    attempts: ({ n }) => `${n} 次尝试`,
+    drillDowns: ({ n }) => `${n} 次下钻`,
+    approved: '已通过',
+    stuck: '尚未通过',
+  },
+
+  storage: {
+    full: '浏览器存储已满: 这次更改没有保存。请移除较大的资料文档或删除旧会话。',
+    saveFailed: '这次更改无法保存: {message}',
+  },
+
+  errors: {
+    auth: '🔑 认证失败：请检查 API Key 或模型访问权限。',
+    quota: '⏳ 配额/限流：请求过于频繁或额度已用完，请稍后再试。',
+    safety: '🛡️ 安全拦截：服务商拦截了这次请求或回答，请换个说法。',
+    network: '📡 网络错误：无法连接到模型服务，请检查网络或 Base URL。',
+    server: '🔥 服务端错误：模型服务暂时不可用，请稍后重试。',
+    request: '⚠️ 请求被拒绝：请检查模型名称与参数。',
+    protocol: '🧩 格式错误：模型多次未按协议输出，状态未更新。',
+  },
+};
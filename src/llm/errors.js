@@ -0,0 +1,46 @@
+import { createT } from '../i18n';
+
+// --- LLM ERRORS ---
+// Every provider failure is turned into an LLMError with a `kind`, so the UI
+// can tell the learner what actually went wrong (and whether retrying helps)
+// instead of printing a raw status line:
+//   auth      bad / missing API key, no access to the model
+//   quota     rate limit or exhausted quota
+//   safety    the provider blocked the prompt or the answer
+//   network   the backend could not be reached (offline, CORS, wrong base URL)
+//   server    5xx from the backend
+//   request   any other rejected request (bad model name, bad parameters...)
+//   protocol  the model answered, but not in the format the protocol requires
+
+export class LLMError extends Error {
+  constructor(kind, message, { status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'LLMError';
+    this.kind = kind;
+    this.status = status;
+  }
+}
+
+export const classifyHttpError = (status, message = '') => {
+  if (status === 401 || status === 403 || /api[_ ]?key|unauthori[sz]ed|permission/i.test(message)) return 'auth';
+  if (status === 429 || /quota|rate.?limit|resource.?exhausted/i.test(message)) return 'quota';
+  if (status >= 500) return 'server';
+  return 'request';
+};
+
+// Anything thrown while talking to a provider -> LLMError. AbortErrors pass through untouched.
+export const toLLMError = (error) => {
+  if (error instanceof LLMError || error?.name === 'AbortError') return error;
+  // fetch() rejects with a TypeError when the request never reached the server
+  if (error instanceof TypeError) return new LLMError('network', error.message, { cause: error });
+  return new LLMError('request', error?.message || String(error), { cause: error });
+};
+
+const KINDS = ['auth', 'quota', 'safety', 'network', 'server', 'request', 'protocol'];
+
+// One line for the chat: what happened (errors.<kind> in the UI language) + the provider's own message.
+export const describeError = (error, t = createT('en')) => {
+  const kind = KINDS.includes(error?.kind) ? error.kind : 'request';
+  const status = error?.status ? ` (${error.status})` : '';
+  return `${t(`errors.${kind}`)}${status} ${error?.message || ''}`.trim();
+};
@@ -0,0 +1,53 @@
+// --- INCREMENTAL FENCE PARSER ---
+// Both protocols wrap their state update in one fenced block inside a
+// streamed reply: Action-First leads with ```json, Stack-Doc ends with
+// ```markdown. This parser splits the stream as it grows:
+//   - onBlock(content) fires once, as soon as the fence closes
+//   - onText(visibleText) fires with everything outside the fence so far
+// A half-received fence opener is held back so it never flashes in the chat.
+
+export const splitFenced = (buffer, lang) => {
+  const opener = '```' + lang;
+  const open = buffer.indexOf(opener);
+
+  if (open === -1) {
+    // Hide a trailing prefix of the opener ("`", "``", "```js"...) until we know what it is
+    for (let len = Math.min(opener.length, buffer.length); len > 0; len--) {
+      if (opener.startsWith(buffer.slice(-len))) return { text: buffer.slice(0, -len), block: null, closed: false };
+    }
+    return { text: buffer, block: null, closed: false };
+  }
+
+  const close = buffer.indexOf('```', open + opener.length);
+  if (close === -1) return { text: buffer.slice(0, open), block: null, closed: false };
+
+  return {
+    text: (buffer.slice(0, open) + buffer.slice(close + 3)).trim(),
+    block: buffer.slice(open + opener.length, close),
+    closed: true,
+  };
+};
+
+export const createFenceStreamParser = (lang, { onBlock, onText }) => {
+  let buffer = '';
+  let blockSeen = false;
+
+  return {
+    push(delta) {
+      buffer += delta;
+      const { text, block, closed } = splitFenced(buffer, lang);
+      if (closed && !blockSeen) {
+        blockSeen = true;
+        onBlock?.(block);
+      }
+      onText?.(text.trimStart());
+    },
+    // Call once the stream ends: flushes any held-back characters.
+    finish() {
+      const { text, closed } = splitFenced(buffer, lang);
+      const finalText = closed ? text : buffer.trim();
+      onText?.(finalText);
+      return { text: finalText, blockSeen };
+    },
+  };
+};
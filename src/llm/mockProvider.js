@@ -0,0 +1,178 @@
+// --- MOCK PROVIDER ---
+// Offline stand-in for a real model. It speaks the same protocols as the real
+// backends (Action-First JSON block, Stack-Doc markdown block, gate JSON) so the
+// stack logic can be demoed and tested with no network.
+//
+// createMockProvider()          -> heuristic replies derived from request.meta
+// createMockProvider([a, b, c]) -> replays the scripted replies in order, then falls back to heuristics
+// When the request carries onToken, the reply is streamed in small chunks.
+
+const POP_PATTERN = /懂了|明白了|回到上一层|understand|got it|back up/i;
+const SIBLING_PATTERN = /^(另外|那么|what about|and what is|also)/i;
+const PUSH_PATTERN = /什么是|为什么|怎么|what is|what's|why|how/i;
+const CASCADE_PATTERN = /两层|two levels|all the way/i;
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  }, { once: true });
+});
+
+// "What is the Q matrix?" -> "the Q matrix"
+const extractTopic = (text) => {
+  const cleaned = text
+    .replace(/^(另外|那么|what about|and what is|also)\s*/i, '')
+    .replace(/^(什么是|为什么|怎么|what is|what's|why does|why is|how does|how is)\s*/i, '')
+    .replace(/[?？。.!！]+$/, '')
+    .trim();
+  return (cleaned || text).slice(0, 60);
+};
+
+const classify = (userMsg = '') => {
+  if (POP_PATTERN.test(userMsg)) return 'TRIGGER_GATE';
+  if (SIBLING_PATTERN.test(userMsg)) return 'PUSH_SIBLING';
+  if (PUSH_PATTERN.test(userMsg)) return 'PUSH';
+  return 'STAY';
+};
+
+const chatReply = ({ userMsg = '', stack = [], retrieved = [] }) => {
+  const action = classify(userMsg);
+  const active = stack.find(n => n.status === 'Active');
+  const topic = action.startsWith('PUSH') ? extractTopic(userMsg) : undefined;
+  let answer;
+
+  if (action === 'PUSH_SIBLING') {
+    answer = `(mock) "${topic}" sits next to "${active?.topic}" under the same parent. Here is how it differs.`;
+  } else if (action === 'PUSH') {
+    answer = `(mock) "${topic}" is a sub-concept of "${active?.topic ?? 'the goal'}". Here is a short explanation.`;
+  } else if (action === 'TRIGGER_GATE') {
+    answer = `(mock) Great — summarize how "${active?.topic}" serves its parent to close this level.`;
+  } else {
+    answer = `(mock) Let me rephrase "${active?.topic ?? 'this'}" with an example.`;
+  }
+
+  // Cite the first sentence of the best retrieved chunk, if any
+  const block = { action, topic, reason: 'mock heuristic' };
+  if (action === 'TRIGGER_GATE' && CASCADE_PATTERN.test(userMsg)) block.levels = 2;
+  const quote = retrieved[0]?.chunk.text.trim().split(/(?<=[.。!?])\s/)[0];
+  if (quote) {
+    block.citations = [{ n: 1, source: 'S1', quote }];
+    answer += ` The source says so directly [1].`;
+  }
+  return `\`\`\`json\n${JSON.stringify(block, null, 2)}\n\`\`\`\n\n${answer}`;
+};
+
+const gateQuestionsReply = ({ child, parent }) => JSON.stringify({
+  questions: [
+    `(mock) In your own words, what is "${child?.topic}"?`,
+    `(mock) Why does "${parent?.topic}" need "${child?.topic}"?`,
+  ],
+});
+
+// Rubric scores grow with the answer length: 40+ chars passes.
+const gateReply = ({ answer = '' }) => {
+  const length = answer.trim().length;
+  const score = length >= 40 ? 3 : length >= 20 ? 2 : 1;
+  const passed = length >= 40;
+  return JSON.stringify({
+    scores: { accuracy: score, connection: score, ownWords: score },
+    feedback: passed
+      ? '(mock) Clear connection between the child and the parent.'
+      : '(mock) Too short — explain how the child concept is used by the parent.',
+    hint: passed ? '' : '(mock) Think about what the parent could not do without it.',
+  });
+};
+
+const reviewReply = ({ recall = '' }) => {
+  const length = recall.trim().length;
+  const quality = length >= 80 ? 5 : length >= 40 ? 4 : length >= 15 ? 3 : 1;
+  return JSON.stringify({ quality, feedback: `(mock) Recall graded ${quality}/5 by length.` });
+};
+
+// A fixed three-branch plan with one nested prerequisite
+const roadmapReply = ({ goal = 'the goal' }) => JSON.stringify({
+  topics: [
+    { id: 't1', topic: `Foundations of ${goal}`, parent: null, difficulty: 1, order: 2, why: '(mock) Vocabulary used everywhere else.' },
+    { id: 't2', topic: 'Key definitions', parent: 't1', difficulty: 1, order: 1, why: '(mock) Needed to read the foundations.' },
+    { id: 't3', topic: `Core mechanism of ${goal}`, parent: null, difficulty: 3, order: 3, why: '(mock) The heart of the goal.' },
+    { id: 't4', topic: `${goal} in practice`, parent: null, difficulty: 4, order: 4, why: '(mock) Ties the pieces together.' },
+  ],
+});
+
+const summaryReply = ({ node }) => `(mock) Rolling summary of the "${node?.topic}" thread.`;
+
+// Stack-Doc mode: rewrite the numbered stack list inside the markdown document.
+const docReply = ({ userMsg = '', doc = '' }) => {
+  const action = classify(userMsg);
+  const lines = doc.split('\n');
+  const itemIdx = lines.map((l, i) => (/^\d+\./.test(l.trim()) ? i : -1)).filter(i => i >= 0);
+  const lastIdx = itemIdx[itemIdx.length - 1];
+  let answer = '(mock) Let me explain that with an example.';
+
+  if (action.startsWith('PUSH') && lastIdx !== undefined) {
+    const levelMatch = lines[lastIdx].match(/\[Level (\d+)\]/);
+    const level = levelMatch ? parseInt(levelMatch[1]) + 1 : 0;
+    const topic = extractTopic(userMsg);
+    itemIdx.forEach(i => { lines[i] = lines[i].replace(' (Active)', ''); });
+    lines.splice(lastIdx + 1, 0, `${itemIdx.length + 1}. [Level ${level}] ${topic} (Active)`);
+    answer = `(mock) Pushed "${topic}".`;
+  } else if (action === 'TRIGGER_GATE' && itemIdx.length > 1) {
+    const popped = lines[lastIdx].replace(/^\d+\.\s*/, '').replace(' (Active)', '');
+    lines.splice(lastIdx, 1);
+    const prev = itemIdx[itemIdx.length - 2];
+    lines[prev] = `${lines[prev]} (Active)`;
+    const cacheAt = lines.findIndex(l => l.startsWith('## 🧠'));
+    if (cacheAt >= 0) {
+      const placeholder = lines.findIndex(l => l.includes('(暂无归档)'));
+      if (placeholder >= 0) lines.splice(placeholder, 1);
+      lines.splice(cacheAt + 1, 0, `- ${popped}: understood`);
+    }
+    answer = `(mock) Popped "${popped}".`;
+  }
+
+  return `${answer}\n\n\`\`\`markdown\n${lines.join('\n')}\n\`\`\``;
+};
+
+const heuristicReply = (meta = {}) => {
+  switch (meta.kind) {
+    case 'gate-questions':
+      return gateQuestionsReply(meta);
+    case 'gate':
+      return gateReply(meta);
+    case 'review':
+      return reviewReply(meta);
+    case 'summary':
+      return summaryReply(meta);
+    case 'roadmap':
+      return roadmapReply(meta);
+    case 'doc':
+      return docReply(meta);
+    default:
+      return chatReply(meta);
+  }
+};
+
+export const createMockProvider = (script = [], { latency = 400, chunkSize = 6, chunkDelay = 25 } = {}) => {
+  const queue = [...script];
+  return async ({ meta, signal, onToken }) => {
+    await delay(latency, signal);
+    let reply;
+    if (queue.length > 0) {
+      const next = queue.shift();
+      reply = typeof next === 'function' ? next(meta) : next;
+    } else {
+      reply = heuristicReply(meta);
+    }
+
+    if (onToken) {
+      for (let i = 0; i < reply.length; i += chunkSize) {
+        await delay(chunkDelay, signal);
+        onToken(reply.slice(i, i + chunkSize));
+      }
+    }
+    return reply;
+  };
+};
@@ -0,0 +1,110 @@
+import { generate } from './providers';
+import { LLMError } from './errors';
+import { validate } from './schemas';
+import { splitFenced } from './fenceStream';
+import { docToStack } from '../stack/stackDoc';
+import { validateStack } from '../stack/stackReducer';
+import { pickLanguage } from '../i18n';
+
+// --- PROTOCOL LAYER ---
+// Every structured answer is checked before it may touch the app state. A check
+// is `(reply) => { value, errors }`. When it fails, the model gets its own reply
+// back together with the exact errors and is asked to fix it, up to MAX_REPAIRS
+// times; after that an LLMError of kind 'protocol' is thrown and the state stays
+// as it was.
+
+export const MAX_REPAIRS = 2;
+
+// Accepts a bare JSON object, a ```json fenced one, or JSON surrounded by prose.
+export const parseJSONBlock = (text) => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const body = (fenced ? fenced[1] : text).trim();
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+    if (start >= 0 && end > start) return JSON.parse(body.slice(start, end + 1));
+    throw e;
+  }
+};
+
+export const checkJSON = (schema) => (reply) => {
+  let value;
+  try {
+    value = parseJSONBlock(reply);
+  } catch (e) {
+    return { value: null, errors: [`Not valid JSON: ${e.message}`] };
+  }
+  return { value, errors: validate(schema, value) };
+};
+
+// Stack-Doc: the content of the ```markdown block must still be a well-formed document.
+export const checkDocBlock = (block) => {
+  const doc = block.trim();
+  const { goal, stack } = docToStack(doc);
+  const errors = [];
+  if (!goal) errors.push('The document has no "# 🎯 Goal:" line');
+  if (stack.length === 0) errors.push('The "## 🥞 Stack" list is empty or missing');
+  else errors.push(...validateStack(stack));
+  return { value: doc, errors };
+};
+
+export const checkDoc = (reply) => {
+  const { block, closed } = splitFenced(reply, 'markdown');
+  if (!closed) return { value: null, errors: ['The reply has no closed ```markdown block with the full document'] };
+  return checkDocBlock(block);
+};
+
+const REPAIR_TEXT = {
+  zh: {
+    heading: '**格式修正 (REPAIR):**',
+    intro: '你上一次的回答不符合输出协议:',
+    previous: '你上一次的回答:',
+    only: (format) => `请修正以上问题。只输出${format}，不要输出其他内容。`,
+  },
+  en: {
+    heading: '**FORMAT REPAIR:**',
+    intro: 'Your previous answer did not follow the output protocol:',
+    previous: 'Your previous answer:',
+    only: (format) => `Fix the problems above. Output only ${format}, nothing else.`,
+  },
+};
+
+// `format` is already in the learning language (see the callers' { zh, en } format texts)
+export const buildRepairPrompt = ({ prompt, reply, errors, format, language }) => {
+  const text = pickLanguage(REPAIR_TEXT, language);
+  return `
+${prompt}
+
+---
+${text.heading}
+${text.intro}
+${errors.map(e => `- ${e}`).join('\n')}
+
+${text.previous}
+${reply}
+
+${text.only(format)}
+`;
+};
+
+// generate() + check + repair loop. `firstReply` lets a caller that already has a
+// (streamed) reply start with the check instead of a new request.
+// `onRepair(attempt, errors)` is called before each repair request; `format` is a
+// { zh, en } description of the expected output, picked by `language`.
+export const generateValidated = async (config, request, { check, format, language, firstReply, maxRepairs = MAX_REPAIRS, onRepair }) => {
+  let reply = firstReply;
+  let prompt = request.prompt;
+
+  for (let attempt = 0; ; attempt++) {
+    if (reply === undefined) reply = await generate(config, { ...request, prompt });
+    const { value, errors } = check(reply);
+    if (errors.length === 0) return value;
+    if (attempt >= maxRepairs) throw new LLMError('protocol', errors.join('; '));
+
+    onRepair?.(attempt + 1, errors);
+    prompt = buildRepairPrompt({ prompt: request.prompt, reply, errors, format: pickLanguage(format, language), language });
+    reply = undefined;
+  }
+};
@@ -0,0 +1,337 @@
+import { createMockProvider } from './mockProvider';
+import { LLMError, classifyHttpError, toLLMError } from './errors';
+import { estimateTokens } from '../memory/tokens';
+
+// --- LLM PROVIDER LAYER ---
+// Every agent talks to the model through `generate(config, request)` or,
+// for chat flows, `stream(config, request)`. A request is { prompt, json, meta, signal, onToken }:
+//   - prompt:  the full text prompt
+//   - json:    ask the backend for a JSON-only answer (gate checks)
+//   - meta:    structured context ({ kind, userMsg, stack, doc, ... }) that only the mock provider reads
+//   - signal:  AbortSignal to cancel the request
+//   - onToken: (stream only) called with each text delta as it arrives
+// Failures are thrown as LLMError (see ./errors) so callers can tell auth, quota,
+// safety blocks and network problems apart.
+//
+// If the config carries `onUsage`, every completed call reports
+// { provider, model, kind, promptTokens, outputTokens, estimated, at } to it:
+// the provider's own token counts where it sends them, else an estimate.
+//
+// With `proxy: true` the config carries no key: gemini/openai calls go to the
+// local LLM proxy (server/llmProxy.mjs), which adds the key from its own env.
+// Direct calls send the key in a header, never in the URL.
+
+export const PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    needsKey: true,
+    defaultModel: 'gemini-2.5-flash-preview-09-2025',
+    defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+  },
+  openai: {
+    label: 'OpenAI-compatible (Ollama, llama.cpp...)',
+    needsKey: false,
+    defaultModel: 'llama3.1',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+  },
+  mock: {
+    label: 'Mock (offline demo)',
+    needsKey: false,
+    defaultModel: 'mock',
+    defaultBaseUrl: '',
+  },
+};
+
+export const DEFAULT_PROVIDER_CONFIG = {
+  provider: 'gemini',
+  apiKey: '',
+  model: PROVIDERS.gemini.defaultModel,
+  baseUrl: PROVIDERS.gemini.defaultBaseUrl,
+  proxy: false,
+};
+
+// --- Proxy Mode ---
+// Same origin under `vite` / `vite preview`; set VITE_LLM_PROXY_URL for the standalone proxy
+export const PROXY_URL = (import.meta.env.VITE_LLM_PROXY_URL || '/api/llm').replace(/\/$/, '');
+
+// Identifies this tab to the proxy's per-session rate limit
+const PROXY_SESSION = globalThis.crypto?.randomUUID?.() ?? Math.random().toString(36).slice(2);
+
+// Which providers the proxy can serve -> { gemini: bool, openai: bool }, or null when there is no proxy
+export const probeProxy = async () => {
+  try {
+    const response = await fetch(`${PROXY_URL}/status`);
+    if (!response.ok) return null;
+    const data = await response.json();
+    return data.providers || null;
+  } catch {
+    return null;
+  }
+};
+
+const usesProxy = (config) => !!config.proxy && config.provider !== 'mock';
+
+// Switching provider resets model/baseUrl to that provider's defaults but keeps the key.
+export const withProvider = (config, provider) => ({
+  ...config,
+  provider,
+  model: PROVIDERS[provider].defaultModel,
+  baseUrl: PROVIDERS[provider].defaultBaseUrl,
+});
+
+export const isProviderReady = (config) => {
+  const def = PROVIDERS[config.provider];
+  if (!def) return false;
+  return usesProxy(config) || !def.needsKey || !!config.apiKey;
+};
+
+// Where a call goes and how it authenticates: the proxy, or the provider with the key in a header
+const endpoint = (config, provider, authHeaders) => {
+  if (usesProxy(config)) return { base: `${PROXY_URL}/${provider}`, headers: { 'X-LLM-Session': PROXY_SESSION } };
+  return {
+    base: (config.baseUrl || PROVIDERS[provider].defaultBaseUrl).replace(/\/$/, ''),
+    headers: config.apiKey ? authHeaders(config.apiKey) : {},
+  };
+};
+
+const geminiAuth = (key) => ({ 'x-goog-api-key': key });
+const openAIAuth = (key) => ({ Authorization: `Bearer ${key}` });
+
+const readError = async (response) => {
+  try {
+    const data = await response.json();
+    return data.error?.message || data.error || response.statusText;
+  } catch {
+    return response.statusText;
+  }
+};
+
+// fetch() that throws a classified LLMError for unreachable backends and non-2xx responses.
+const send = async (label, url, init) => {
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (e) {
+    throw toLLMError(e);
+  }
+  if (!response.ok) {
+    const message = await readError(response);
+    throw new LLMError(classifyHttpError(response.status, message), `${label} ${response.status}: ${message}`, { status: response.status });
+  }
+  return response;
+};
+
+// Gemini reports blocked prompts/answers in the body of a 200 response.
+const GEMINI_BLOCKED = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'];
+const checkGeminiBlock = (data) => {
+  if (data.error) throw new LLMError(classifyHttpError(data.error.code, data.error.message), data.error.message, { status: data.error.code });
+  const blockReason = data.promptFeedback?.blockReason;
+  if (blockReason) throw new LLMError('safety', `Gemini blocked the prompt: ${blockReason}`);
+  const finishReason = data.candidates?.[0]?.finishReason;
+  if (GEMINI_BLOCKED.includes(finishReason)) throw new LLMError('safety', `Gemini stopped the answer: ${finishReason}`);
+};
+
+// Read a `text/event-stream` body and hand each `data:` payload to onData.
+// When onData throws (a blocked answer, a protocol error), the download is cancelled.
+const readSSE = async (response, onData) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const payload = line.replace(/\r$/, '');
+        if (!payload.startsWith('data:')) continue;
+        const data = payload.slice(5).trim();
+        if (data && data !== '[DONE]') onData(JSON.parse(data));
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+};
+
+// --- Token Usage ---
+// { promptTokens, outputTokens } from a provider response, or null when it has none
+
+// Gemini 2.5 bills its thinking tokens as output
+const geminiUsage = ({ usageMetadata: u }) =>
+  (u ? { promptTokens: u.promptTokenCount ?? 0, outputTokens: (u.candidatesTokenCount ?? 0) + (u.thoughtsTokenCount ?? 0) } : null);
+
+const openAIUsage = ({ usage: u }) =>
+  (u ? { promptTokens: u.prompt_tokens ?? 0, outputTokens: u.completion_tokens ?? 0 } : null);
+
+const callGemini = async (config, { prompt, json, signal }) => {
+  const { base, headers } = endpoint(config, 'gemini', geminiAuth);
+  const model = config.model || PROVIDERS.gemini.defaultModel;
+  const body = { contents: [{ parts: [{ text: prompt }] }] };
+  if (json) body.generationConfig = { responseMimeType: 'application/json' };
+
+  const response = await send('Gemini', `${base}/models/${model}:generateContent`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  const data = await response.json();
+  checkGeminiBlock(data);
+  return { text: data.candidates?.[0]?.content?.parts?.[0]?.text || '', usage: geminiUsage(data) };
+};
+
+const streamGemini = async (config, { prompt, signal, onToken }) => {
+  const { base, headers } = endpoint(config, 'gemini', geminiAuth);
+  const model = config.model || PROVIDERS.gemini.defaultModel;
+
+  const response = await send('Gemini', `${base}/models/${model}:streamGenerateContent?alt=sse`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] }),
+    signal,
+  });
+
+  let text = '';
+  let usage = null;
+  await readSSE(response, (data) => {
+    checkGeminiBlock(data);
+    usage = geminiUsage(data) || usage; // running totals; the last chunk has the final count
+    const delta = data.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('') || '';
+    if (delta) {
+      text += delta;
+      onToken?.(delta);
+    }
+  });
+  return { text, usage };
+};
+
+const openAIRequest = (config, { prompt, json, signal }, extraBody = {}) => {
+  const { base, headers } = endpoint(config, 'openai', openAIAuth);
+
+  const body = {
+    model: config.model || PROVIDERS.openai.defaultModel,
+    messages: [{ role: 'user', content: prompt }],
+    ...extraBody,
+  };
+  if (json) body.response_format = { type: 'json_object' };
+
+  return send(usesProxy(config) ? 'OpenAI-compatible (proxy)' : config.baseUrl || 'OpenAI-compatible', `${base}/chat/completions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+};
+
+const callOpenAICompatible = async (config, request) => {
+  const response = await openAIRequest(config, request);
+
+  const data = await response.json();
+  if (data.choices?.[0]?.finish_reason === 'content_filter') throw new LLMError('safety', 'The answer was blocked by the content filter');
+  return { text: data.choices?.[0]?.message?.content || '', usage: openAIUsage(data) };
+};
+
+// Servers that reject `stream_options` (older llama.cpp / vLLM builds) answer 400
+// naming it. The stream is then requested again without it, and once that works the
+// server is remembered, so later turns skip the failing request (their usage is
+// estimated). Any other 400 is a real error and is not retried.
+const noStreamUsage = new Set();
+const STREAM_OPTIONS_REJECTED = /stream_options|include_usage/i;
+
+const openAIStreamRequest = async (config, request) => {
+  const server = usesProxy(config) ? PROXY_URL : config.baseUrl;
+  if (!noStreamUsage.has(server)) {
+    try {
+      // The usage arrives in one last chunk without choices
+      return await openAIRequest(config, request, { stream: true, stream_options: { include_usage: true } });
+    } catch (e) {
+      if (e.status !== 400 || !STREAM_OPTIONS_REJECTED.test(e.message)) throw e;
+    }
+  }
+  const response = await openAIRequest(config, request, { stream: true });
+  noStreamUsage.add(server);
+  return response;
+};
+
+const streamOpenAICompatible = async (config, request) => {
+  const response = await openAIStreamRequest(config, request);
+
+  let text = '';
+  let usage = null;
+  await readSSE(response, (data) => {
+    usage = openAIUsage(data) || usage;
+    if (data.choices?.[0]?.finish_reason === 'content_filter') throw new LLMError('safety', 'The answer was blocked by the content filter');
+    const delta = data.choices?.[0]?.delta?.content || '';
+    if (delta) {
+      text += delta;
+      request.onToken?.(delta);
+    }
+  });
+  return { text, usage };
+};
+
+const defaultMock = createMockProvider();
+
+const dispatchGenerate = (config, request) => {
+  switch (config.provider) {
+    case 'gemini':
+      return callGemini(config, request);
+    case 'openai':
+      return callOpenAICompatible(config, request);
+    case 'mock':
+      return (config.mock || defaultMock)(request);
+    default:
+      throw new Error(`Unknown provider: ${config.provider}`);
+  }
+};
+
+const dispatchStream = (config, request) => {
+  switch (config.provider) {
+    case 'gemini':
+      return streamGemini(config, request);
+    case 'openai':
+      return streamOpenAICompatible(config, request);
+    case 'mock':
+      return (config.mock || defaultMock)(request);
+    default:
+      throw new Error(`Unknown provider: ${config.provider}`);
+  }
+};
+
+// Providers resolve with { text, usage }, the mock with plain text: report the usage, return the text
+const finish = (config, request, result) => {
+  const { text, usage } = typeof result === 'string' ? { text: result, usage: null } : result;
+  config.onUsage?.({
+    provider: config.provider,
+    model: config.model,
+    kind: request.meta?.kind ?? null,
+    promptTokens: usage?.promptTokens ?? estimateTokens(request.prompt),
+    outputTokens: usage?.outputTokens ?? estimateTokens(text),
+    estimated: !usage,
+    at: Date.now(),
+  });
+  return text;
+};
+
+export const generate = async (config, request) => {
+  try {
+    return finish(config, request, await dispatchGenerate(config, request));
+  } catch (e) {
+    throw toLLMError(e);
+  }
+};
+
+// Same contract as generate(), but text arrives through request.onToken as it is produced.
+// Resolves with the full text.
+export const stream = async (config, request) => {
+  try {
+    return finish(config, request, await dispatchStream(config, request));
+  } catch (e) {
+    throw toLLMError(e);
+  }
+};
@@ -0,0 +1,125 @@
+import { MODEL_ACTIONS } from '../stack/stackReducer';
+import { RUBRIC, MAX_SCORE } from '../gate/socraticGate';
+
+// --- RESPONSE SCHEMAS ---
+// A small JSON-schema subset, enough to check what each protocol expects back:
+//   type (object | array | string | number | integer | boolean), enum, required,
+//   properties, items, minItems, minimum, maximum,
+//   refine: (value) => error string | null   for rules that span several fields
+// validate() returns a list of human-readable errors; the list is sent back to
+// the model verbatim in the repair prompt, so keep messages self-explanatory.
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => type === typeOf(value) || (type === 'number' && typeOf(value) === 'integer');
+
+export const validate = (schema, value, path = '$') => {
+  if (schema.type && !matchesType(value, schema.type)) return [`${path} must be ${schema.type}, got ${typeOf(value)}`];
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+      if (value[key] !== undefined && value[key] !== null) errors.push(...validate(sub, value[key], `${path}.${key}`));
+    });
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} needs at least ${schema.minItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+
+  if (errors.length === 0 && schema.refine) {
+    const error = schema.refine(value);
+    if (error) errors.push(`${path}: ${error}`);
+  }
+  return errors;
+};
+
+// --- Protocol Schemas ---
+
+// Action-First: the leading ```json block of a chat reply
+export const ACTION_SCHEMA = {
+  type: 'object',
+  required: ['action'],
+  properties: {
+    action: { type: 'string', refine: (action) => (MODEL_ACTIONS.includes(action.toUpperCase()) ? null : `must be one of ${MODEL_ACTIONS.join(', ')}`) },
+    topic: { type: 'string' },
+    reason: { type: 'string' },
+    levels: { type: 'integer', minimum: 1 },
+    citations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['quote'],
+        properties: { quote: { type: 'string' } },
+      },
+    },
+  },
+  refine: (value) => (value.action.toUpperCase().startsWith('PUSH') && !String(value.topic || '').trim() ? `${value.action} needs a non-empty "topic"` : null),
+};
+
+export const GATE_QUESTIONS_SCHEMA = {
+  type: 'object',
+  required: ['questions'],
+  properties: { questions: { type: 'array', minItems: 2, items: { type: 'string' } } },
+};
+
+export const GATE_GRADE_SCHEMA = {
+  type: 'object',
+  required: ['scores', 'feedback'],
+  properties: {
+    scores: {
+      type: 'object',
+      required: RUBRIC.map(c => c.key),
+      properties: Object.fromEntries(RUBRIC.map(c => [c.key, { type: 'number', minimum: 0, maximum: MAX_SCORE }])),
+    },
+    feedback: { type: 'string' },
+    hint: { type: 'string' },
+  },
+};
+
+export const REVIEW_SCHEMA = {
+  type: 'object',
+  required: ['quality', 'feedback'],
+  properties: {
+    quality: { type: 'number', minimum: 0, maximum: 5 },
+    feedback: { type: 'string' },
+  },
+};
+
+// Goal decomposition: the prerequisite tree proposed at session start.
+// Unknown parents and cycles are tolerated here and fixed by normalizeRoadmap.
+export const ROADMAP_SCHEMA = {
+  type: 'object',
+  required: ['topics'],
+  properties: {
+    topics: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'topic', 'difficulty', 'order'],
+        properties: {
+          id: { type: 'string' },
+          topic: { type: 'string' },
+          parent: { type: 'string' },
+          difficulty: { type: 'integer', minimum: 1, maximum: 5 },
+          order: { type: 'integer', minimum: 1 },
+          why: { type: 'string' },
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,100 @@
+import { getNode, getPath } from '../stack/stackReducer';
+import { estimateTokens, clipToTokens } from './tokens';
+import { pickLanguage, EMPTY } from '../i18n';
+
+// --- CONVERSATION MEMORY ---
+// Every chat message carries the `nodeId` it belongs to, so the conversation is
+// really one thread per stack node. A prompt gets:
+//   - the most recent turns of the Active node's thread, and
+//   - a rolling summary of each ancestor's thread (node.summary),
+// packed into a token budget: nearer context wins when the budget runs out.
+
+// Share of the budget reserved for the Active node's own turns.
+const TURNS_SHARE = 0.6;
+// A thread is re-summarized once this many messages are not covered by its summary.
+export const SUMMARY_EVERY = 8;
+
+export const SUMMARY_PROMPTS = {
+  zh: `
+你是学习记录员。请把下面这段围绕 [Topic] 的对话压缩成一段滚动摘要 (不超过 120 字)，
+保留：用户已经理解的要点、仍然困惑的地方、用过的关键例子。
+如果提供了旧摘要，请在旧摘要的基础上更新。只输出摘要正文。
+`,
+  en: `
+You are a learning note-taker. Compress the conversation below about [Topic] into one rolling summary (at most 80 words).
+Keep: what the user already understands, what still confuses them, and the key examples used.
+If an old summary is given, update it instead of starting over. Output only the summary text, in English.
+`,
+};
+
+// Labels inside the prompt text, in the learning language
+const LABELS = {
+  zh: { user: '用户', assistant: '助手', oldSummary: '旧摘要', newTurns: '新对话', ancestors: '上层节点摘要', recent: (topic) => `当前节点 [${topic}] 最近对话` },
+  en: { user: 'User', assistant: 'Assistant', oldSummary: 'Old summary', newTurns: 'New conversation', ancestors: 'Summaries of the parent nodes', recent: (topic) => `Recent turns of the current node [${topic}]` },
+};
+
+const isTurn = (m) => m.role === 'user' || m.role === 'assistant';
+
+export const threadOf = (messages, nodeId) => messages.filter(m => m.nodeId === nodeId && isTurn(m));
+
+const formatTurn = (m, labels) => `${m.role === 'user' ? labels.user : labels.assistant}: ${m.text}`;
+
+// Messages of the thread not yet folded into the node's summary.
+export const unsummarized = (node, messages) => threadOf(messages, node.id).slice(node.summary?.covered || 0);
+
+export const needsSummary = (node, messages, { force = false } = {}) => {
+  if (!node) return false;
+  const pending = unsummarized(node, messages).length;
+  return force ? pending > 0 : pending >= SUMMARY_EVERY;
+};
+
+export const buildSummaryPrompt = (node, messages, language) => {
+  const labels = pickLanguage(LABELS, language);
+  return `
+${pickLanguage(SUMMARY_PROMPTS, language)}
+Topic: "${node.topic}"
+${labels.oldSummary}: ${node.summary?.text || pickLanguage(EMPTY, language)}
+${labels.newTurns}:
+${unsummarized(node, messages).map(m => formatTurn(m, labels)).join('\n')}
+`;
+};
+
+export const buildHistoryContext = ({ stack, messages, activeId, budget, language }) => {
+  const labels = pickLanguage(LABELS, language);
+  const none = pickLanguage(EMPTY, language);
+  const active = getNode(stack, activeId);
+  if (!active) return none;
+
+  // 1. Recent turns of the Active node, newest first until its share is spent
+  const turnsBudget = Math.floor(budget * TURNS_SHARE);
+  const turns = [];
+  let used = 0;
+  for (const m of [...threadOf(messages, active.id)].reverse()) {
+    const line = formatTurn(m, labels);
+    const cost = estimateTokens(line);
+    if (used + cost > turnsBudget) {
+      if (turns.length === 0) turns.unshift(clipToTokens(line, turnsBudget));
+      break;
+    }
+    turns.unshift(line);
+    used += cost;
+  }
+
+  // 2. Ancestor summaries, nearest parent first, with whatever budget is left
+  const summaries = [];
+  for (const node of getPath(stack, active.id).slice(0, -1).reverse()) {
+    const thread = threadOf(messages, node.id);
+    const text = node.summary?.text || thread.slice(-2).map(m => formatTurn(m, labels)).join(' / ');
+    if (!text) continue;
+    const line = `- [${node.topic}] ${text}`;
+    const cost = estimateTokens(line);
+    if (used + cost > budget) break;
+    summaries.unshift(line);
+    used += cost;
+  }
+
+  return [
+    `${labels.ancestors}:\n${summaries.length ? summaries.join('\n') : none}`,
+    `${labels.recent(active.topic)}:\n${turns.length ? turns.join('\n') : none}`,
+  ].join('\n\n');
+};
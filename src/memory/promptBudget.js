@@ -0,0 +1,45 @@
+import { estimateTokens } from './tokens';
+import { getActive, getChildren, getPath } from '../stack/stackReducer';
+
+// --- PROMPT BUDGET ---
+// A chat prompt is measured before it is sent. Over the budget, its parts are
+// shrunk one step at a time, in the order of `steps`, until it fits or no step
+// can cut anything more. Each step is { id, apply(options) -> smaller options | null };
+// `build(options)` assembles the prompt. The system prompt and the user's
+// message are never cut, so a prompt can still end up over the budget.
+
+export const MIN_MEMORY_BUDGET = 200;
+
+export const fitToBudget = ({ budget, options, build, steps }) => {
+  let current = options;
+  let prompt = build(current);
+  const initialTokens = estimateTokens(prompt);
+  const trimmed = [];
+
+  for (const step of steps) {
+    while (estimateTokens(prompt) > budget) {
+      const next = step.apply(current);
+      if (!next) break;
+      current = next;
+      prompt = build(current);
+      if (!trimmed.includes(step.id)) trimmed.push(step.id);
+    }
+  }
+
+  const tokens = estimateTokens(prompt);
+  return { prompt, options: current, tokens, initialTokens, trimmed, over: tokens > budget };
+};
+
+// The part of the tree a turn needs: the Active path, the Active node's children
+// and its siblings (so the model does not re-create them). -> { nodes, omitted }
+export const activeNeighbourhood = (stack) => {
+  const active = getActive(stack);
+  if (!active) return { nodes: stack, omitted: 0 };
+  const keep = new Set([
+    ...getPath(stack, active.id).map(n => n.id),
+    ...getChildren(stack, active.id).map(n => n.id),
+    ...(active.parentId ? getChildren(stack, active.parentId).map(n => n.id) : []),
+  ]);
+  const nodes = stack.filter(n => keep.has(n.id));
+  return { nodes, omitted: stack.length - nodes.length };
+};
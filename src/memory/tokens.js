@@ -0,0 +1,18 @@
+// --- TOKEN ESTIMATE ---
+// Good enough for budgeting without shipping a tokenizer: ~4 characters per
+// token for Latin text, ~1 token per CJK character.
+
+const CJK = /[一-鿿぀-ヿ가-힯]/g;
+
+export const estimateTokens = (text = '') => {
+  const cjk = (text.match(CJK) || []).length;
+  return Math.ceil(cjk + (text.length - cjk) / 4);
+};
+
+// Cut text to roughly `tokens` tokens, marking the cut.
+export const clipToTokens = (text = '', tokens) => {
+  if (estimateTokens(text) <= tokens) return text;
+  let end = Math.min(text.length, tokens * 4);
+  while (end > 0 && estimateTokens(text.slice(0, end)) > tokens) end = Math.floor(end * 0.8);
+  return `${text.slice(0, end)}…`;
+};
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { Brain, ArrowUpCircle, ChevronRight, X, CheckCircle, AlertCircle } from 'lucide-react';
+import { isProviderReady } from '../llm/providers';
+import { generateValidated, checkJSON } from '../llm/protocol';
+import { REVIEW_SCHEMA } from '../llm/schemas';
+import { describeError } from '../llm/errors';
+import { meteredFor } from '../usage/useUsageMeter';
+import { useI18n, pickLanguage } from '../i18n';
+import { listCards, updateCard } from '../storage/reviewDeck';
+import { schedule, isDue } from './srs';
+
+// 复习 Prompt: a lighter gate prompt. The learner already passed the gate once,
+// so the examiner grades how much of that understanding survived instead of approving/rejecting.
+const REVIEW_PROMPTS = {
+  zh: `
+你是一个温和的复习考官。
+用户曾经通过了 [Child Topic] -> [Parent Topic] 的验证，现在在复习。
+请对照用户当初的总结，评估这次回忆保留了多少理解 (不要求措辞一致)。feedback 请用中文。
+输出 JSON: { "quality": 0-5 的整数 (SM-2 评分: 5 完美, 3 勉强回忆, 0 完全忘记), "feedback": string }
+`,
+  en: `
+You are a gentle review examiner.
+The user once passed the [Child Topic] -> [Parent Topic] checkpoint and is now reviewing it.
+Compare today's recall with the user's original synthesis and judge how much of the understanding survived (the wording need not match). Write feedback in English.
+Output JSON: { "quality": integer 0-5 (SM-2 grade: 5 perfect, 3 barely recalled, 0 forgotten), "feedback": string }
+`,
+};
+
+const REVIEW_FORMAT = { zh: '一个 JSON 对象 { "quality": 0-5, "feedback": string }', en: 'one JSON object { "quality": 0-5, "feedback": string }' };
+
+export default function ReviewSession({ providerConfig, language, onExit }) {
+  const { t } = useI18n();
+  const [queue] = useState(() => listCards().filter(card => isDue(card)).sort((a, b) => a.due - b.due));
+  const [index, setIndex] = useState(0);
+  const [recallInput, setRecallInput] = useState('');
+  const [isGrading, setIsGrading] = useState(false);
+  const [result, setResult] = useState(null); // { quality, feedback, card }
+  const [error, setError] = useState('');
+
+  const card = queue[index];
+
+  const handleGrade = async () => {
+    if (!recallInput.trim() || isGrading) return;
+    if (!isProviderReady(providerConfig)) {
+      setError(t('review.providerMissing'));
+      return;
+    }
+    setIsGrading(true);
+    setError('');
+
+    try {
+      const prompt = `
+${pickLanguage(REVIEW_PROMPTS, language)}
+Context: Child "${card.topic}" -> Parent "${card.parentTopic ?? '(root)'}"
+Original Synthesis: "${card.synthesis}"
+Recall Today: "${recallInput}"
+Return JSON only.
+      `;
+      const graded = await generateValidated(
+        meteredFor(card.sessionId, providerConfig),
+        { prompt, json: true, meta: { kind: 'review', recall: recallInput, card } },
+        { check: checkJSON(REVIEW_SCHEMA), format: REVIEW_FORMAT, language }
+      );
+      const nextCard = schedule(card, Number(graded.quality) || 0);
+      updateCard(nextCard);
+      setResult({ quality: nextCard.history[nextCard.history.length - 1].quality, feedback: graded.feedback, card: nextCard });
+    } catch (e) {
+      setError(describeError(e, t));
+    } finally {
+      setIsGrading(false);
+    }
+  };
+
+  const handleNext = () => {
+    setIndex(index + 1);
+    setRecallInput('');
+    setResult(null);
+    setError('');
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-200 flex items-center justify-center p-4 font-sans">
+      <div className="max-w-lg w-full bg-slate-900 rounded-2xl border border-slate-800 shadow-2xl overflow-hidden">
+        <div className="bg-slate-800 p-4 border-b border-slate-700 flex justify-between items-center">
+          <div className="font-bold text-amber-400 flex items-center gap-2">
+            <Brain size={16}/> {t('review.title')} · {Math.min(index + 1, queue.length)} / {queue.length}
+          </div>
+          <button onClick={onExit}><X size={18} className="text-slate-500 hover:text-white"/></button>
+        </div>
+
+        {!card ? (
+          <div className="p-8 text-center space-y-4">
+            <CheckCircle size={32} className="mx-auto text-emerald-400"/>
+            <div className="text-sm text-slate-300">{t(queue.length ? 'review.allDone' : 'review.nothingDue')}</div>
+            <button onClick={onExit} className="bg-indigo-600 hover:bg-indigo-500 text-white font-bold text-sm px-4 py-2 rounded">{t('common.back')}</button>
+          </div>
+        ) : (
+          <div className="p-6">
+            <div className="flex flex-col items-center gap-2 mb-6">
+              <span className="text-xs text-slate-500 uppercase font-bold">{t('review.recall')}</span>
+              <div className="flex items-center gap-3 text-sm font-bold">
+                <span className="text-indigo-300 bg-indigo-900/50 px-3 py-1 rounded border border-indigo-700/50">{card.topic}</span>
+                {card.parentTopic && (
+                  <>
+                    <ArrowUpCircle size={16} className="text-slate-600"/>
+                    <span className="text-emerald-300 bg-emerald-900/50 px-3 py-1 rounded border border-emerald-700/50">{card.parentTopic}</span>
+                  </>
+                )}
+              </div>
+            </div>
+
+            <p className="text-sm text-slate-300 mb-4 leading-relaxed">
+              {t('review.question')}
+            </p>
+
+            <textarea
+              value={recallInput}
+              onChange={e => setRecallInput(e.target.value)}
+              disabled={!!result}
+              className="w-full h-28 bg-slate-950 border border-slate-800 rounded-lg p-3 text-sm focus:border-amber-500 focus:outline-none resize-none mb-4"
+            />
+
+            {result && (
+              <div className="space-y-3 mb-4">
+                <div className={`p-3 rounded border text-sm ${result.quality >= 3 ? 'bg-emerald-900/20 border-emerald-800 text-emerald-400' : 'bg-red-900/20 border-red-800 text-red-400'}`}>
+                  <div className="font-bold mb-1 flex items-center gap-2">
+                    {result.quality >= 3 ? <CheckCircle size={16}/> : <AlertCircle size={16}/>}
+                    {t('review.quality', { q: result.quality, days: result.card.interval })}
+                  </div>
+                  <div className="opacity-90 text-xs">{result.feedback}</div>
+                </div>
+                <div className="p-3 rounded border border-slate-800 bg-slate-950 text-xs text-slate-400">
+                  <div className="uppercase font-bold text-[10px] text-slate-500 mb-1">{t('review.originalSynthesis')}</div>
+                  {card.synthesis}
+                </div>
+              </div>
+            )}
+
+            {error && <div className="mb-4 text-xs text-red-300 bg-red-950/30 border border-red-800/50 rounded p-2">{error}</div>}
+
+            <div className="flex justify-end">
+              {result ? (
+                <button onClick={handleNext} className="bg-indigo-600 hover:bg-indigo-500 text-white font-bold text-sm px-4 py-2 rounded flex items-center gap-1">{t('common.next')} <ChevronRight size={16}/></button>
+              ) : (
+                <button onClick={handleGrade} disabled={isGrading} className="bg-amber-600 hover:bg-amber-500 text-white font-bold text-sm px-4 py-2 rounded">
+                  {t(isGrading ? 'common.grading' : 'review.check')}
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
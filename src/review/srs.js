@@ -0,0 +1,54 @@
+// --- SPACED REPETITION (SM-2) ---
+// Every node that passes the Feynman gate becomes a review card. Grading a
+// recall with quality 0-5 reschedules the card the way SM-2 does:
+//   q < 3  -> start over tomorrow
+//   q >= 3 -> 1 day, 6 days, then interval * ease
+// and the ease factor drifts with how hard the recall was (floor 1.3).
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const makeCard = ({ sessionId, node, parent, synthesis, now = Date.now() }) => ({
+  id: `${sessionId}:${node.id}`,
+  sessionId,
+  nodeId: node.id,
+  topic: node.topic,
+  parentTopic: parent?.topic ?? null,
+  synthesis,
+  ease: 2.5,
+  interval: 1,
+  repetitions: 0,
+  due: now + DAY_MS,
+  createdAt: now,
+  history: [],
+});
+
+export const schedule = (card, quality, now = Date.now()) => {
+  const q = Math.max(0, Math.min(5, Math.round(quality)));
+  let { ease, interval, repetitions } = card;
+
+  if (q < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * ease);
+  }
+  ease = Math.max(1.3, ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+  return {
+    ...card,
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    due: now + interval * DAY_MS,
+    history: [...card.history, { at: now, quality: q }],
+  };
+};
+
+const endOfToday = (now = Date.now()) => {
+  const d = new Date(now);
+  d.setHours(23, 59, 59, 999);
+  return d.getTime();
+};
+
+export const isDue = (card, now = Date.now()) => card.due <= endOfToday(now);
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Route, X, ArrowUp, ArrowDown, Trash2, Plus, RefreshCw, Loader2, Play } from 'lucide-react';
+import { isProviderReady } from '../llm/providers';
+import { generateValidated, checkJSON } from '../llm/protocol';
+import { ROADMAP_SCHEMA } from '../llm/schemas';
+import { describeError } from '../llm/errors';
+import { useUsageMeter } from '../usage/useUsageMeter';
+import UsageMeter from '../usage/UsageMeter';
+import { useI18n } from '../i18n';
+import {
+  MAX_DIFFICULTY, MAX_TOPICS, ROADMAP_FORMAT, buildRoadmapPrompt, normalizeRoadmap,
+  roadmapTree, descendantKeys, updateItem, removeItem, moveItem, addItem,
+} from './roadmap';
+
+const DIFFICULTIES = Array.from({ length: MAX_DIFFICULTY }, (_, i) => i + 1);
+
+// Planning step before a session: the model drafts a prerequisite roadmap for
+// the goal, the learner reshapes it (topics, difficulty, parents, order) and
+// accepts it as the session's planned nodes, or skips straight to a plain session.
+// Both hand over the tokens spent on drafting (`usage`), which belong to that session.
+export default function RoadmapPlanner({ providerConfig, language, goal, onAccept, onSkip, onCancel }) {
+  const { t } = useI18n();
+  const meter = useUsageMeter(null, providerConfig);
+  const [items, setItems] = useState([]);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState('');
+  const [newTopic, setNewTopic] = useState('');
+  const abortRef = useRef(null);
+
+  const generate = async () => {
+    if (!isProviderReady(providerConfig)) {
+      setError(t('roadmap.providerMissing'));
+      return;
+    }
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsGenerating(true);
+    setError('');
+
+    try {
+      const data = await generateValidated(
+        meter.config,
+        { prompt: buildRoadmapPrompt({ goal, language }), json: true, signal: controller.signal, meta: { kind: 'roadmap', goal } },
+        { check: checkJSON(ROADMAP_SCHEMA), format: ROADMAP_FORMAT, language }
+      );
+      setItems(normalizeRoadmap(data));
+    } catch (e) {
+      if (e.name !== 'AbortError') setError(describeError(e, t));
+    } finally {
+      if (abortRef.current === controller) setIsGenerating(false);
+    }
+  };
+
+  useEffect(() => {
+    generate();
+    return () => abortRef.current?.abort();
+  }, []);
+
+  const handleAdd = () => {
+    if (!newTopic.trim() || items.length >= MAX_TOPICS) return;
+    setItems(addItem(items, newTopic.trim()));
+    setNewTopic('');
+  };
+
+  const rows = roadmapTree(items);
+  const canAccept = !isGenerating && items.length > 0 && items.every(item => item.topic.trim());
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-200 flex justify-center p-4 font-sans">
+      <div className="max-w-2xl w-full bg-slate-900 rounded-2xl border border-slate-800 shadow-2xl overflow-hidden self-start">
+        <div className="bg-slate-800 p-4 border-b border-slate-700 flex justify-between items-center gap-3">
+          <div className="font-bold text-indigo-300 flex items-center gap-2 min-w-0">
+            <Route size={16} className="shrink-0"/> <span className="truncate">{t('roadmap.title', { goal })}</span>
+          </div>
+          <div className="flex items-center gap-3 shrink-0">
+            <UsageMeter usage={meter.usage} />
+            <button onClick={onCancel}><X size={18} className="text-slate-500 hover:text-white"/></button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <p className="text-xs text-slate-400 leading-relaxed">{t('roadmap.intro')}</p>
+
+          {error && <div className="text-xs text-red-300 bg-red-950/30 border border-red-800/50 rounded p-2">{error}</div>}
+
+          {isGenerating ? (
+            <div className="py-10 flex flex-col items-center gap-2 text-sm text-slate-400">
+              <Loader2 size={20} className="animate-spin text-indigo-400"/> {t('roadmap.generating')}
+            </div>
+          ) : items.length === 0 ? (
+            <div className="py-6 text-center text-xs text-slate-500">{t('roadmap.empty')}</div>
+          ) : (
+            <div className="space-y-1.5">
+              {rows.map(({ item, depth }) => {
+                const index = items.indexOf(item);
+                const excluded = descendantKeys(items, item.key);
+                return (
+                  <div key={item.key} className="flex items-center gap-2 p-2 rounded border border-slate-800 bg-slate-950" style={{ marginLeft: depth * 20 }}>
+                    <span className="w-6 text-[10px] font-mono text-slate-500 text-right shrink-0">#{index + 1}</span>
+                    <div className="flex-1 min-w-0">
+                      <input
+                        value={item.topic}
+                        onChange={e => setItems(updateItem(items, item.key, { topic: e.target.value }))}
+                        className="w-full bg-transparent border-b border-transparent focus:border-indigo-500 text-sm font-bold outline-none"
+                      />
+                      {item.why && <div className="text-[10px] text-slate-500 truncate" title={item.why}>{item.why}</div>}
+                    </div>
+                    <select
+                      title={t('roadmap.difficulty')}
+                      value={item.difficulty}
+                      onChange={e => setItems(updateItem(items, item.key, { difficulty: Number(e.target.value) }))}
+                      className="bg-slate-800 border border-slate-700 rounded px-1 py-0.5 text-[10px] outline-none"
+                    >
+                      {DIFFICULTIES.map(d => <option key={d} value={d}>{t('roadmap.level', { n: d })}</option>)}
+                    </select>
+                    <select
+                      title={t('roadmap.parent')}
+                      value={item.parentKey ?? ''}
+                      onChange={e => setItems(updateItem(items, item.key, { parentKey: e.target.value || null }))}
+                      className="bg-slate-800 border border-slate-700 rounded px-1 py-0.5 text-[10px] outline-none max-w-[120px]"
+                    >
+                      <option value="">{t('roadmap.underGoal')}</option>
+                      {items.filter(other => other.key !== item.key && !excluded.has(other.key)).map(other => (
+                        <option key={other.key} value={other.key}>{other.topic}</option>
+                      ))}
+                    </select>
+                    <button title={t('roadmap.earlier')} disabled={index === 0} onClick={() => setItems(moveItem(items, item.key, -1))} className="p-1 text-slate-500 hover:text-white disabled:opacity-30"><ArrowUp size={12}/></button>
+                    <button title={t('roadmap.later')} disabled={index === items.length - 1} onClick={() => setItems(moveItem(items, item.key, 1))} className="p-1 text-slate-500 hover:text-white disabled:opacity-30"><ArrowDown size={12}/></button>
+                    <button title={t('common.delete')} onClick={() => setItems(removeItem(items, item.key))} className="p-1 text-slate-500 hover:text-red-400"><Trash2 size={12}/></button>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {!isGenerating && (
+            <div className="flex gap-2">
+              <input
+                value={newTopic}
+                onChange={e => setNewTopic(e.target.value)}
+                onKeyDown={e => e.key === 'Enter' && handleAdd()}
+                placeholder={t('roadmap.addPlaceholder')}
+                disabled={items.length >= MAX_TOPICS}
+                className="flex-1 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-xs outline-none focus:border-indigo-500"
+              />
+              <button onClick={handleAdd} disabled={!newTopic.trim() || items.length >= MAX_TOPICS} className="px-2 py-1 rounded border border-slate-700 text-xs text-slate-300 hover:border-indigo-500 disabled:opacity-40 flex items-center gap-1"><Plus size={12}/> {t('roadmap.add')}</button>
+            </div>
+          )}
+
+          <div className="flex items-center gap-2 pt-2 border-t border-slate-800">
+            <button onClick={generate} disabled={isGenerating} className="px-3 py-2 rounded border border-slate-700 text-xs font-bold text-slate-300 hover:border-indigo-500 disabled:opacity-40 flex items-center gap-1"><RefreshCw size={12}/> {t('roadmap.regenerate')}</button>
+            <div className="flex-1"></div>
+            <button onClick={() => onSkip(meter.usage)} className="px-3 py-2 rounded text-xs font-bold text-slate-400 hover:text-white">{t('roadmap.skip')}</button>
+            <button onClick={() => onAccept(items, meter.usage)} disabled={!canAccept} className="bg-indigo-600 hover:bg-indigo-500 disabled:opacity-40 text-white font-bold text-sm px-4 py-2 rounded flex items-center gap-2"><Play size={14}/> {t('roadmap.accept', { n: items.length })}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import { pickLanguage } from '../i18n';
+import { stackReducer, makeNodeId } from '../stack/stackReducer';
+
+// --- GOAL DECOMPOSITION (ROADMAP) ---
+// Optional planning step before a session starts: the model breaks the goal
+// into a prerequisite tree with a difficulty (1-5) and a suggested order per
+// topic. The learner edits the draft, and accepting it turns every topic into
+// a planned `Waiting` node (node.plan = { order, difficulty }) under the root.
+//
+// While editing, a roadmap is a flat list in suggested order:
+//   [{ key, topic, parentKey, difficulty, why }]   parentKey null = directly under the goal
+
+export const MAX_TOPICS = 20;
+export const MAX_DIFFICULTY = 5;
+
+export const ROADMAP_PROMPTS = {
+  zh: `
+你是一个课程设计师。用户的学习目标是 [Goal]。
+请把目标拆解成一棵前置知识树：每个主题要么直接服务于目标，要么是另一个主题的前置知识 (子主题)。
+- 4-${MAX_TOPICS} 个主题，树的深度不超过 3 层，主题标题简短。
+- difficulty: 1 (入门) 到 ${MAX_DIFFICULTY} (很难)。
+- order: 建议的学习顺序 (1 开始，先学前置知识)。
+- why: 一句话说明它为什么是必要的。
+请用中文写主题与说明。
+输出 JSON: { "topics": [{ "id": string, "topic": string, "parent": string | null, "difficulty": number, "order": number, "why": string }] }
+`,
+  en: `
+You are a curriculum designer. The user's learning goal is [Goal].
+Break the goal down into a prerequisite tree: every topic either serves the goal directly or is a prerequisite (child) of another topic.
+- 4-${MAX_TOPICS} topics, at most 3 levels deep, short topic titles.
+- difficulty: 1 (introductory) to ${MAX_DIFFICULTY} (very hard).
+- order: the suggested learning order (starting at 1, prerequisites first).
+- why: one sentence on why it is needed.
+Write topics and explanations in English.
+Output JSON: { "topics": [{ "id": string, "topic": string, "parent": string | null, "difficulty": number, "order": number, "why": string }] }
+`,
+};
+
+// What a repair request asks for (see generateValidated)
+export const ROADMAP_FORMAT = { zh: '一个 JSON 对象 { "topics": [...] }', en: 'one JSON object { "topics": [...] }' };
+
+export const buildRoadmapPrompt = ({ goal, language }) => `
+${pickLanguage(ROADMAP_PROMPTS, language)}
+Goal: "${goal}"
+Return JSON only.
+    `;
+
+const clampDifficulty = (value) => Math.max(1, Math.min(MAX_DIFFICULTY, Math.round(Number(value) || 1)));
+
+// Model reply -> roadmap list. Duplicate ids and topics are dropped, unknown
+// parents and cycles are re-attached to the goal, and the list is sorted by `order`.
+export const normalizeRoadmap = (data) => {
+  const seenIds = new Set();
+  const seenTopics = new Set();
+  const topics = (data?.topics || [])
+    .map(t => ({ ...t, id: String(t.id ?? ''), topic: String(t.topic || '').trim() }))
+    .filter(t => {
+      const key = t.topic.toLowerCase();
+      if (!t.id || !t.topic || seenIds.has(t.id) || seenTopics.has(key)) return false;
+      seenIds.add(t.id);
+      seenTopics.add(key);
+      return true;
+    })
+    .sort((a, b) => (Number(a.order) || 0) - (Number(b.order) || 0))
+    .slice(0, MAX_TOPICS);
+
+  const parentOf = Object.fromEntries(topics.map(t => [t.id, seenIds.has(String(t.parent)) ? String(t.parent) : null]));
+  const inCycle = (id) => {
+    const visited = new Set();
+    for (let at = parentOf[id]; at; at = parentOf[at]) {
+      if (at === id || visited.has(at)) return true;
+      visited.add(at);
+    }
+    return false;
+  };
+  topics.forEach(t => {
+    if (inCycle(t.id)) parentOf[t.id] = null;
+  });
+
+  return topics.map(t => ({
+    key: t.id,
+    topic: t.topic,
+    parentKey: parentOf[t.id],
+    difficulty: clampDifficulty(t.difficulty),
+    why: String(t.why || '').trim(),
+  }));
+};
+
+// --- Editing ---
+
+export const childrenOf = (items, parentKey) => items.filter(item => item.parentKey === parentKey);
+
+export const descendantKeys = (items, key) => {
+  const keys = new Set();
+  const visit = (k) => childrenOf(items, k).forEach(child => {
+    keys.add(child.key);
+    visit(child.key);
+  });
+  visit(key);
+  return keys;
+};
+
+// Depth-first with children in suggested order: [{ item, depth }] as the tree is shown
+export const roadmapTree = (items) => {
+  const rows = [];
+  const visit = (parentKey, depth) => childrenOf(items, parentKey).forEach(item => {
+    rows.push({ item, depth });
+    visit(item.key, depth + 1);
+  });
+  visit(null, 0);
+  return rows;
+};
+
+export const updateItem = (items, key, patch) => items.map(item => (item.key === key ? { ...item, ...patch } : item));
+
+// A removed topic's prerequisites move up to its parent
+export const removeItem = (items, key) => {
+  const removed = items.find(item => item.key === key);
+  return items
+    .filter(item => item.key !== key)
+    .map(item => (item.parentKey === key ? { ...item, parentKey: removed.parentKey } : item));
+};
+
+// Swap with the previous / next topic in the suggested order
+export const moveItem = (items, key, step) => {
+  const at = items.findIndex(item => item.key === key);
+  const to = at + step;
+  if (at < 0 || to < 0 || to >= items.length) return items;
+  const next = [...items];
+  [next[at], next[to]] = [next[to], next[at]];
+  return next;
+};
+
+export const addItem = (items, topic, parentKey = null) => [
+  ...items,
+  { key: `r-${Date.now().toString(36)}-${items.length}`, topic, parentKey, difficulty: 2, why: '' },
+];
+
+// --- Accepting ---
+
+// The roadmap as the session's initial tree: the goal stays the Active root and
+// every topic becomes a planned Waiting node. Topics are added through the
+// reducer, so a duplicate title under the same parent is simply skipped.
+export const planToStack = (goal, items) => {
+  let { stack } = stackReducer([], { type: 'INIT', id: 'root', topic: goal });
+  const order = Object.fromEntries(items.map((item, i) => [item.key, i + 1]));
+  const nodeIds = {};
+  roadmapTree(items).forEach(({ item }) => {
+    const id = makeNodeId();
+    const parentId = item.parentKey ? nodeIds[item.parentKey] : 'root';
+    if (!parentId) return;
+    const result = stackReducer(stack, {
+      type: 'ADD', id, parentId, topic: item.topic,
+      plan: { order: order[item.key], difficulty: item.difficulty },
+    });
+    if (result.error) return;
+    stack = result.stack;
+    nodeIds[item.key] = id;
+  });
+  return stack;
+};
+
+// Progress against the roadmap: planned nodes that passed their gate. null without a roadmap.
+export const roadmapProgress = (stack) => {
+  const planned = stack.filter(n => n.plan);
+  if (planned.length === 0) return null;
+  return { done: planned.filter(n => n.status === 'Done').length, total: planned.length };
+};
+
+// The next planned topic in suggested order that is not Done yet
+export const nextPlanned = (stack) =>
+  stack.filter(n => n.plan && n.status !== 'Done').sort((a, b) => a.plan.order - b.plan.order)[0];
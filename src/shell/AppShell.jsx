@@ -0,0 +1,359 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Play, Settings, Library, Pencil, Copy, Trash2, Upload, Brain, BarChart3, X } from 'lucide-react';
+import { PROVIDERS, DEFAULT_PROVIDER_CONFIG, PROXY_URL, withProvider, probeProxy } from '../llm/providers';
+import { ENGINES, DEFAULT_ENGINE_ID, getEngine } from '../engines';
+import { loadSettings, saveSettings } from '../storage/settings';
+import { LANGUAGES, I18nContext, createT } from '../i18n';
+import { importSession } from '../storage/sessionTransfer';
+import { listSessions, createSession, renameSession, duplicateSession, deleteSession, StorageFullError } from '../storage/sessions';
+import { isDue } from '../review/srs';
+import { listCards, removeSessionCards } from '../storage/reviewDeck';
+import ReviewSession from '../review/ReviewSession';
+import AnalyticsDashboard from '../analytics/AnalyticsDashboard';
+import RoadmapPlanner from '../roadmap/RoadmapPlanner';
+import { planToStack, nextPlanned } from '../roadmap/roadmap';
+import { removeSessionEvents } from '../storage/eventLog';
+import RecursiveAgentV4 from '../App';
+import RecursiveLearningAgent from '../RecursiveLearningFeature';
+
+// --- APP SHELL ---
+// Owns everything the protocol modes share: the start screen, provider and
+// settings, the optional roadmap step, the session library, the review deck
+// and the analytics dashboard.
+// An open session is handed to the workspace of its engine; both workspaces
+// load and auto-save it through the same session storage. The shell also
+// provides the UI language to everything below it.
+
+const WORKSPACES = {
+  'action-first': RecursiveAgentV4,
+  'stack-doc': RecursiveLearningAgent,
+};
+
+const countDue = () => listCards().filter(card => isDue(card)).length;
+
+export default function AppShell() {
+  const [providerConfig, setProviderConfig] = useState(DEFAULT_PROVIDER_CONFIG);
+  const [proxyStatus, setProxyStatus] = useState(null); // { gemini, openai } when a local LLM proxy answers
+  const [settings, setSettings] = useState(loadSettings);
+  const [goal, setGoal] = useState('');
+  const [mode, setMode] = useState(DEFAULT_ENGINE_ID);
+
+  // Session Library
+  const [openSession, setOpenSession] = useState(null); // { id, mode } of the session in the workspace
+  const [sessions, setSessions] = useState(() => listSessions());
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameInput, setRenameInput] = useState('');
+  const [notice, setNotice] = useState(''); // error shown under the start form (import failed, storage full)
+
+  // Spaced Repetition
+  const [isReviewing, setIsReviewing] = useState(false);
+  const [dueCount, setDueCount] = useState(countDue);
+
+  // Learning Analytics
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+
+  // Goal Decomposition
+  const [planning, setPlanning] = useState(null); // { goal, mode } while the roadmap is being drafted
+
+  const i18n = useMemo(() => ({ lang: settings.uiLanguage, t: createT(settings.uiLanguage) }), [settings.uiLanguage]);
+  const { t } = i18n;
+  const withI18n = (node) => <I18nContext.Provider value={i18n}>{node}</I18nContext.Provider>;
+
+  useEffect(() => {
+    saveSettings(settings);
+  }, [settings]);
+
+  // A reachable proxy that holds a key is used by default, so no key has to be typed in
+  useEffect(() => {
+    probeProxy().then(status => {
+      setProxyStatus(status);
+      if (status) setProviderConfig(config => (status[config.provider] && !config.apiKey ? { ...config, proxy: true } : config));
+    });
+  }, []);
+
+  const refreshLibrary = () => {
+    setSessions(listSessions());
+    setDueCount(countDue());
+  };
+
+  // --- Initializer ---
+  // `usage`: tokens already spent on the session's roadmap
+  const startSession = (goal, mode, items = [], usage = null) => {
+    const initial = getEngine(mode).newSession(goal, t);
+    if (items.length > 0) {
+      const stack = planToStack(goal, items);
+      initial.stack = stack;
+      initial.messages = [
+        ...initial.messages,
+        { id: 'm-roadmap', role: 'system', text: t('system.roadmapAccepted', { n: items.length, next: nextPlanned(stack)?.topic }), nodeId: 'root' },
+      ];
+    }
+    setPlanning(null);
+    try {
+      const session = createSession({ goal, mode, ...initial, ...(usage && { usage }) });
+      setOpenSession({ id: session.id, mode: session.mode });
+    } catch (err) {
+      if (!(err instanceof StorageFullError)) throw err;
+      setNotice(t('storage.full'));
+    }
+  };
+
+  const handleStart = () => {
+    if (!goal.trim()) return;
+    if (settings.planRoadmap) setPlanning({ goal, mode });
+    else startSession(goal, mode);
+  };
+
+  // --- Session Library Actions ---
+  const handleResume = (id) => {
+    const summary = listSessions().find(s => s.id === id);
+    if (!summary) return;
+    setOpenSession({ id, mode: getEngine(summary.mode).id });
+  };
+
+  const handleBackToLibrary = () => {
+    setOpenSession(null);
+    setGoal('');
+    refreshLibrary();
+  };
+
+  const handleExitReview = () => {
+    setIsReviewing(false);
+    setDueCount(countDue());
+  };
+
+  const handleRename = (id) => {
+    if (renameInput.trim()) renameSession(id, renameInput.trim());
+    setRenamingId(null);
+    setSessions(listSessions());
+  };
+
+  const handleDuplicate = (id) => {
+    try {
+      duplicateSession(id, title => t('shell.copyTitle', { title }));
+    } catch (err) {
+      if (!(err instanceof StorageFullError)) throw err;
+      setNotice(t('storage.full'));
+    }
+    setSessions(listSessions());
+  };
+
+  // A Stack-Doc .md carries no mode; it opens in the mode picked above
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = importSession(await file.text(), { pastedName: t('source.pastedDefault') });
+      createSession({ ...imported, mode: imported.mode || mode });
+      setSessions(listSessions());
+      setNotice('');
+    } catch (err) {
+      setNotice(err instanceof StorageFullError ? t('storage.full') : t('shell.importFailed', { message: err.message }));
+    }
+  };
+
+  const handleDelete = (id) => {
+    if (!confirm(t('shell.confirmDelete'))) return;
+    deleteSession(id);
+    removeSessionCards(id);
+    removeSessionEvents(id);
+    refreshLibrary();
+  };
+
+  if (isReviewing) {
+    return withI18n(<ReviewSession providerConfig={providerConfig} language={settings.learningLanguage} onExit={handleExitReview} />);
+  }
+
+  if (isAnalyzing) {
+    return withI18n(<AnalyticsDashboard onExit={() => setIsAnalyzing(false)} />);
+  }
+
+  if (planning) {
+    return withI18n(
+      <RoadmapPlanner
+        providerConfig={providerConfig}
+        language={settings.learningLanguage}
+        goal={planning.goal}
+        onAccept={(items, usage) => startSession(planning.goal, planning.mode, items, usage)}
+        onSkip={usage => startSession(planning.goal, planning.mode, [], usage)}
+        onCancel={() => setPlanning(null)}
+      />
+    );
+  }
+
+  if (openSession) {
+    const Workspace = WORKSPACES[openSession.mode];
+    return withI18n(
+      <Workspace
+        key={openSession.id}
+        sessionId={openSession.id}
+        providerConfig={providerConfig}
+        settings={settings}
+        onExit={handleBackToLibrary}
+        onOpenSession={handleResume}
+      />
+    );
+  }
+
+  return withI18n(
+    <div className="min-h-screen bg-slate-950 text-slate-200 flex items-center justify-center p-4 font-sans">
+      <div className="max-w-md w-full bg-slate-900 p-8 rounded-xl border border-slate-800 shadow-2xl">
+        <div className="flex items-center gap-3 mb-6 text-indigo-400">
+          <Settings size={32} />
+          <h1 className="text-2xl font-bold">DeepFlow V4</h1>
+        </div>
+        <div className="space-y-4">
+           <div>
+              <label className="text-xs font-bold text-slate-500 uppercase">{t('shell.provider')}</label>
+              <select value={providerConfig.provider} onChange={e=>setProviderConfig(withProvider(providerConfig, e.target.value))} className="w-full bg-slate-800 border border-slate-700 rounded p-2 text-sm focus:border-indigo-500 outline-none">
+                 {Object.entries(PROVIDERS).map(([id, def]) => <option key={id} value={id}>{def.label}</option>)}
+              </select>
+           </div>
+           {providerConfig.provider !== 'mock' && proxyStatus && (
+             <div>
+                <label className="flex items-center gap-2 text-xs text-slate-400 cursor-pointer">
+                   <input type="checkbox" checked={providerConfig.proxy} onChange={e=>setProviderConfig({ ...providerConfig, proxy: e.target.checked })} className="accent-indigo-500"/>
+                   {t('shell.useProxy')}
+                </label>
+                {providerConfig.proxy && (
+                  <div className={`text-[10px] mt-1 ${proxyStatus[providerConfig.provider] ? 'text-emerald-400/80' : 'text-amber-400/80'}`}>
+                    {proxyStatus[providerConfig.provider] ? t('shell.proxyReady', { url: PROXY_URL }) : t('shell.proxyNoKey', { provider: PROVIDERS[providerConfig.provider].label })}
+                  </div>
+                )}
+             </div>
+           )}
+           {providerConfig.provider !== 'mock' && (
+             <>
+               {!providerConfig.proxy && (
+                 <div>
+                    <label className="text-xs font-bold text-slate-500 uppercase">{t('shell.apiKey')} {!PROVIDERS[providerConfig.provider].needsKey && t('shell.optional')}</label>
+                    <input type="password" value={providerConfig.apiKey} onChange={e=>setProviderConfig({ ...providerConfig, apiKey: e.target.value })} className="w-full bg-slate-800 border border-slate-700 rounded p-2 text-sm focus:border-indigo-500 outline-none"/>
+                 </div>
+               )}
+               <div className="flex gap-2">
+                  {!providerConfig.proxy && (
+                    <div className="flex-1">
+                       <label className="text-xs font-bold text-slate-500 uppercase">{t('shell.baseUrl')}</label>
+                       <input type="text" value={providerConfig.baseUrl} onChange={e=>setProviderConfig({ ...providerConfig, baseUrl: e.target.value })} className="w-full bg-slate-800 border border-slate-700 rounded p-2 text-xs font-mono focus:border-indigo-500 outline-none"/>
+                    </div>
+                  )}
+                  <div className={providerConfig.proxy ? 'flex-1' : 'w-40'}>
+                     <label className="text-xs font-bold text-slate-500 uppercase">{t('shell.model')}</label>
+                     <input type="text" value={providerConfig.model} onChange={e=>setProviderConfig({ ...providerConfig, model: e.target.value })} className="w-full bg-slate-800 border border-slate-700 rounded p-2 text-xs font-mono focus:border-indigo-500 outline-none"/>
+                  </div>
+               </div>
+             </>
+           )}
+           <div>
+              <label className="text-xs font-bold text-slate-500 uppercase">{t('shell.protocol')}</label>
+              <div className="grid grid-cols-2 gap-2 mt-1">
+                 {Object.values(ENGINES).map(engine => (
+                   <button key={engine.id} onClick={() => setMode(engine.id)} title={t(`engines.${engine.id}`)} className={`p-2 rounded border text-left ${mode === engine.id ? 'border-indigo-500 bg-indigo-600/20 text-white' : 'border-slate-700 bg-slate-800 text-slate-400 hover:border-slate-500'}`}>
+                     <div className="text-xs font-bold">{engine.label}</div>
+                     <div className="text-[10px] leading-snug mt-1 opacity-80">{t(`engines.${engine.id}`)}</div>
+                   </button>
+                 ))}
+              </div>
+           </div>
+           {mode === 'action-first' && (
+             <>
+               <div>
+                  <label className="text-xs font-bold text-slate-500 uppercase">{t('shell.gateMode')}</label>
+                  <select value={settings.gateMode} onChange={e=>setSettings({ ...settings, gateMode: e.target.value })} className="w-full bg-slate-800 border border-slate-700 rounded p-2 text-sm focus:border-indigo-500 outline-none">
+                     <option value="auto">{t('shell.gateModeAuto')}</option>
+                     <option value="ask">{t('shell.gateModeAsk')}</option>
+                     <option value="off">{t('shell.gateModeOff')}</option>
+                  </select>
+               </div>
+               <div>
+                  <label className="text-xs font-bold text-slate-500 uppercase">{t('shell.historyBudget')}</label>
+                  <input type="number" min="200" step="100" value={settings.historyBudget} onChange={e=>setSettings({ ...settings, historyBudget: Math.max(200, Number(e.target.value) || 0) })} className="w-full bg-slate-800 border border-slate-700 rounded p-2 text-xs font-mono focus:border-indigo-500 outline-none"/>
+               </div>
+             </>
+           )}
+           <div>
+              <label className="text-xs font-bold text-slate-500 uppercase" title={t('shell.promptBudgetHint')}>{t('shell.promptBudget')}</label>
+              <input type="number" min="1000" step="500" value={settings.promptBudget} onChange={e=>setSettings({ ...settings, promptBudget: Math.max(1000, Number(e.target.value) || 0) })} className="w-full bg-slate-800 border border-slate-700 rounded p-2 text-xs font-mono focus:border-indigo-500 outline-none"/>
+           </div>
+           <div className="flex gap-2">
+              <div className="flex-1">
+                 <label className="text-xs font-bold text-slate-500 uppercase">{t('shell.uiLanguage')}</label>
+                 <select value={settings.uiLanguage} onChange={e=>setSettings({ ...settings, uiLanguage: e.target.value })} className="w-full bg-slate-800 border border-slate-700 rounded p-2 text-sm focus:border-indigo-500 outline-none">
+                    {Object.entries(LANGUAGES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                 </select>
+              </div>
+              <div className="flex-1">
+                 <label className="text-xs font-bold text-slate-500 uppercase" title={t('shell.learningLanguageHint')}>{t('shell.learningLanguage')}</label>
+                 <select value={settings.learningLanguage} onChange={e=>setSettings({ ...settings, learningLanguage: e.target.value })} className="w-full bg-slate-800 border border-slate-700 rounded p-2 text-sm focus:border-indigo-500 outline-none">
+                    {Object.entries(LANGUAGES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                 </select>
+              </div>
+           </div>
+           <div>
+              <label className="text-xs font-bold text-slate-500 uppercase">{t('shell.goal')}</label>
+              <input type="text" value={goal} onChange={e=>setGoal(e.target.value)} onKeyDown={e => e.key === 'Enter' && handleStart()} className="w-full bg-slate-800 border border-slate-700 rounded p-2 text-sm focus:border-indigo-500 outline-none"/>
+           </div>
+           <label className="flex items-center gap-2 text-xs text-slate-400 cursor-pointer">
+              <input type="checkbox" checked={settings.planRoadmap} onChange={e=>setSettings({ ...settings, planRoadmap: e.target.checked })} className="accent-indigo-500"/>
+              {t('shell.planRoadmap')}
+           </label>
+           <button onClick={handleStart} className="w-full bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-3 rounded flex justify-center gap-2"><Play size={18}/> {t('shell.start')}</button>
+           <label className="w-full border border-slate-700 hover:border-indigo-500 text-slate-400 hover:text-white text-xs font-bold py-2 rounded flex justify-center items-center gap-2 cursor-pointer">
+              <Upload size={14}/> {t('shell.import')}
+              <input type="file" accept=".json,.md,.markdown,.txt" onChange={handleImport} className="hidden"/>
+           </label>
+           {notice && (
+             <div className="text-xs text-red-300 bg-red-950/30 border border-red-800/50 rounded p-2 flex items-start gap-2">
+               <span className="flex-1">{notice}</span>
+               <button onClick={() => setNotice('')}><X size={12} className="text-red-400 hover:text-white"/></button>
+             </div>
+           )}
+        </div>
+
+        {dueCount > 0 && (
+          <button onClick={() => setIsReviewing(true)} className="mt-6 w-full flex items-center justify-between p-3 rounded border border-amber-700/50 bg-amber-950/20 hover:border-amber-500 text-amber-300">
+            <span className="flex items-center gap-2 text-sm font-bold"><Brain size={16}/> {t('shell.reviewDue')}</span>
+            <span className="text-xs bg-amber-500/20 px-2 py-0.5 rounded font-mono">{t('shell.cards', { n: dueCount })}</span>
+          </button>
+        )}
+
+        {sessions.length > 0 && (
+          <div className="mt-8">
+            <div className="text-xs font-bold text-slate-500 uppercase flex items-center justify-between mb-2">
+              <span className="flex items-center gap-2"><Library size={14}/> {t('shell.savedSessions')}</span>
+              <button onClick={() => setIsAnalyzing(true)} className="flex items-center gap-1 text-indigo-400 hover:text-white normal-case"><BarChart3 size={14}/> {t('shell.analytics')}</button>
+            </div>
+            <div className="space-y-2 max-h-72 overflow-y-auto scrollbar-thin scrollbar-thumb-slate-800">
+              {sessions.map(s => (
+                <div key={s.id} className="flex items-center gap-2 p-2 rounded border border-slate-800 bg-slate-950 hover:border-indigo-500/50">
+                  <div className="flex-1 min-w-0">
+                    {renamingId === s.id ? (
+                      <input
+                        autoFocus
+                        value={renameInput}
+                        onChange={e => setRenameInput(e.target.value)}
+                        onKeyDown={e => e.key === 'Enter' && handleRename(s.id)}
+                        onBlur={() => handleRename(s.id)}
+                        className="w-full bg-slate-800 border border-slate-700 rounded px-2 py-1 text-sm outline-none"
+                      />
+                    ) : (
+                      <div className="text-sm font-bold truncate">{s.title}</div>
+                    )}
+                    <div className="text-[10px] text-slate-500 font-mono truncate">
+                      <span className="text-indigo-300/80">{getEngine(s.mode).label}</span> · {t('shell.depth', { n: s.depth })} · {new Date(s.updatedAt).toLocaleString()}
+                    </div>
+                  </div>
+                  <button title={t('shell.resume')} onClick={() => handleResume(s.id)} className="p-1.5 text-indigo-400 hover:text-white"><Play size={14}/></button>
+                  <button title={t('common.rename')} onClick={() => { setRenamingId(s.id); setRenameInput(s.title); }} className="p-1.5 text-slate-500 hover:text-white"><Pencil size={14}/></button>
+                  <button title={t('shell.duplicate')} onClick={() => handleDuplicate(s.id)} className="p-1.5 text-slate-500 hover:text-white"><Copy size={14}/></button>
+                  <button title={t('common.delete')} onClick={() => handleDelete(s.id)} className="p-1.5 text-slate-500 hover:text-red-400"><Trash2 size={14}/></button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FileText, Upload, Plus, Trash2, ChevronLeft, Loader } from 'lucide-react';
+import { extractFileText, newSourceId } from './extract';
+import { StorageFullError } from '../storage/sessions';
+import { useI18n } from '../i18n';
+
+const ACCEPT = '.md,.markdown,.txt,.pdf,.js,.jsx,.ts,.tsx,.py,.java,.go,.rs,.c,.cpp,.h,.json,.yaml,.yml,.tex,.html,.css';
+
+// Source tab of the Action-First console: a small document library.
+// `focus` ({ docId, start, end }) opens a document and highlights a cited passage.
+// `onChange` saves the new library before applying it and throws a StorageFullError
+// when it does not fit; the addition is then refused and the reason shown here,
+// like a file that could not be read.
+export default function SourceLibrary({ sources, onChange, retrieved = [], focus = null }) {
+  const { t } = useI18n();
+  const [openId, setOpenId] = useState(null);
+  const [pasteText, setPasteText] = useState('');
+  const [pasteName, setPasteName] = useState('');
+  const [isExtracting, setIsExtracting] = useState(false);
+  const [error, setError] = useState('');
+  const highlightRef = useRef(null);
+
+  useEffect(() => {
+    if (focus) setOpenId(focus.docId);
+  }, [focus]);
+
+  useEffect(() => {
+    highlightRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [focus, openId]);
+
+  const openDoc = sources.find(doc => doc.id === openId);
+  const hitCount = (docId) => retrieved.filter(r => r.chunk.docId === docId).length;
+
+  // -> whether the change was applied
+  const applyChange = (next) => {
+    try {
+      onChange(next);
+      setError('');
+      return true;
+    } catch (err) {
+      if (!(err instanceof StorageFullError)) throw err;
+      setError(t('source.storageFull'));
+      return false;
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = '';
+    if (!files.length) return;
+    setIsExtracting(true);
+    try {
+      const docs = [];
+      for (const file of files) docs.push(await extractFileText(file));
+      applyChange([...sources, ...docs.filter(doc => doc.text.trim())]);
+    } catch (err) {
+      setError(t('source.readFailed', { message: err.message }));
+    } finally {
+      setIsExtracting(false);
+    }
+  };
+
+  const handleAddPaste = () => {
+    if (!pasteText.trim()) return;
+    const name = pasteName.trim() || t('source.pastedName', { n: sources.filter(d => d.kind === 'paste').length + 1 });
+    if (!applyChange([...sources, { id: newSourceId(), name, kind: 'paste', text: pasteText, addedAt: Date.now() }])) return;
+    setPasteText('');
+    setPasteName('');
+  };
+
+  const handleRemove = (id) => {
+    applyChange(sources.filter(doc => doc.id !== id));
+    if (openId === id) setOpenId(null);
+  };
+
+  if (openDoc) {
+    const highlight = focus?.docId === openDoc.id ? focus : null;
+    return (
+      <div className="h-full flex flex-col">
+        <button onClick={() => setOpenId(null)} className="text-xs text-slate-400 hover:text-white flex items-center gap-1 mb-2">
+          <ChevronLeft size={14}/> {t('source.library')}
+        </button>
+        <div className="text-sm font-bold text-emerald-300 mb-2 truncate">{openDoc.name}</div>
+        <pre className="flex-1 overflow-y-auto bg-slate-950 border border-slate-800 rounded p-4 text-xs font-mono text-slate-300 whitespace-pre-wrap leading-relaxed scrollbar-thin scrollbar-thumb-slate-800">
+          {highlight ? (
+            <>
+              {openDoc.text.slice(0, highlight.start)}
+              <mark ref={highlightRef} className="source-highlight">{openDoc.text.slice(highlight.start, highlight.end)}</mark>
+              {openDoc.text.slice(highlight.end)}
+            </>
+          ) : openDoc.text}
+        </pre>
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-full flex flex-col gap-4">
+      <div className="space-y-2">
+        <div className="text-xs text-slate-400 flex justify-between">
+          <span>{t('source.documents', { n: sources.length })}</span>
+          {retrieved.length > 0 && <span className="text-emerald-500">{t('source.chunksUsed', { n: retrieved.length })}</span>}
+        </div>
+        {sources.length === 0 && <div className="text-slate-500 text-xs text-center py-4">{t('source.empty')}</div>}
+        {sources.map(doc => (
+          <div key={doc.id} className="group flex items-center gap-2 p-2 rounded border border-slate-800 bg-slate-950 hover:border-emerald-700/60">
+            <FileText size={14} className="text-emerald-500 shrink-0"/>
+            <button onClick={() => setOpenId(doc.id)} className="flex-1 min-w-0 text-left">
+              <div className="text-sm text-slate-200 truncate">{doc.name}</div>
+              <div className="text-[10px] text-slate-500 font-mono">{doc.kind} · {t('source.chars', { n: doc.text.length.toLocaleString() })}{hitCount(doc.id) > 0 && ` · ${t('source.hits', { n: hitCount(doc.id) })}`}</div>
+            </button>
+            <button title={t('source.remove')} onClick={() => handleRemove(doc.id)} className="p-1 text-slate-600 hover:text-red-400 opacity-0 group-hover:opacity-100"><Trash2 size={14}/></button>
+          </div>
+        ))}
+      </div>
+
+      {error && <div className="text-xs text-red-300 bg-red-950/30 border border-red-800/50 rounded p-2">{error}</div>}
+
+      <label className={`flex items-center justify-center gap-2 border border-dashed border-slate-700 hover:border-emerald-500 rounded p-3 text-xs text-slate-400 hover:text-white cursor-pointer ${isExtracting ? 'opacity-60 pointer-events-none' : ''}`}>
+        {isExtracting ? <Loader size={14} className="animate-spin"/> : <Upload size={14}/>}
+        {t(isExtracting ? 'source.extracting' : 'source.upload')}
+        <input type="file" multiple accept={ACCEPT} onChange={handleUpload} className="hidden"/>
+      </label>
+
+      <div className="flex-1 flex flex-col min-h-[180px]">
+        <input
+          value={pasteName}
+          onChange={e => setPasteName(e.target.value)}
+          placeholder={t('source.name')}
+          className="bg-slate-950 border border-slate-800 rounded-t px-3 py-2 text-xs text-slate-300 focus:outline-none focus:border-emerald-500"
+        />
+        <textarea
+          value={pasteText}
+          onChange={e => setPasteText(e.target.value)}
+          className="flex-1 bg-slate-950 border border-t-0 border-slate-800 rounded-b p-4 text-xs font-mono text-slate-300 focus:outline-none focus:border-emerald-500 resize-none leading-relaxed"
+          placeholder={t('source.pastePlaceholder')}
+        />
+        <button onClick={handleAddPaste} disabled={!pasteText.trim()} className="mt-2 self-end text-xs font-bold px-3 py-1.5 rounded bg-emerald-600/20 text-emerald-400 hover:bg-emerald-600 hover:text-white disabled:opacity-40 flex items-center gap-1">
+          <Plus size={14}/> {t('source.add')}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+// --- BM25 INDEX ---
+// Small in-memory BM25 over source chunks. Latin text is split into lowercase
+// words; CJK runs (no spaces) are indexed as character bigrams so Chinese
+// queries still match.
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(['the', 'a', 'an', 'of', 'to', 'in', 'is', 'and', 'or', 'for', 'on', 'it', 'this', 'that', 'what', 'how', 'why', 'with', 'as', 'are', 'be', 'by', '的', '是', '了']);
+
+export const tokenize = (text = '') => {
+  const tokens = [];
+  const pieces = text.toLowerCase().match(/[a-z0-9_]+|[一-鿿぀-ヿ]+/g) || [];
+  for (const piece of pieces) {
+    if (/^[a-z0-9_]+$/.test(piece)) {
+      if (!STOPWORDS.has(piece)) tokens.push(piece);
+    } else if (piece.length === 1) {
+      if (!STOPWORDS.has(piece)) tokens.push(piece);
+    } else {
+      for (let i = 0; i < piece.length - 1; i++) tokens.push(piece.slice(i, i + 2));
+    }
+  }
+  return tokens;
+};
+
+export const buildIndex = (chunks) => {
+  const df = new Map();
+  const docs = chunks.map(chunk => {
+    const tf = new Map();
+    const tokens = tokenize(chunk.text);
+    tokens.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+    tf.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1));
+    return { chunk, tf, length: tokens.length };
+  });
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  return { docs, df, avgLength };
+};
+
+// Returns [{ chunk, score }] best first, only chunks that match at least one term.
+export const search = (index, query, k = 4) => {
+  const terms = [...new Set(tokenize(query))];
+  const N = index.docs.length;
+  if (!N || !terms.length) return [];
+
+  return index.docs
+    .map(({ chunk, tf, length }) => {
+      let score = 0;
+      for (const term of terms) {
+        const freq = tf.get(term);
+        if (!freq) continue;
+        const n = index.df.get(term);
+        const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+        score += idf * (freq * (K1 + 1)) / (freq + K1 * (1 - B + B * length / (index.avgLength || 1)));
+      }
+      return { chunk, score };
+    })
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+};
@@ -0,0 +1,45 @@
+// --- CHUNKER ---
+// Documents are cut into overlapping chunks of roughly `size` characters,
+// preferring paragraph, then sentence, then word boundaries. Every chunk keeps
+// its character offsets into the original document so a retrieved chunk can be
+// traced back to (and highlighted in) the source.
+
+const BOUNDARIES = ['\n\n', '\n', '. ', '。', ' '];
+
+const findCut = (text, start, end) => {
+  if (end >= text.length) return text.length;
+  const minCut = start + Math.floor((end - start) / 2);
+  for (const boundary of BOUNDARIES) {
+    const at = text.lastIndexOf(boundary, end);
+    if (at >= minCut) return at + boundary.length;
+  }
+  return end;
+};
+
+export const chunkDocument = (doc, { size = 800, overlap = 120 } = {}) => {
+  const chunks = [];
+  const { text } = doc;
+  let start = 0;
+
+  while (start < text.length) {
+    const end = findCut(text, start, start + size);
+    const chunkText = text.slice(start, end);
+    if (chunkText.trim()) {
+      chunks.push({
+        id: `${doc.id}#${chunks.length}`,
+        docId: doc.id,
+        docName: doc.name,
+        start,
+        end,
+        text: chunkText,
+      });
+    }
+    if (end >= text.length) break;
+    // Start the overlap on a word boundary so no chunk opens mid-word
+    const overlapFrom = Math.max(end - overlap, start + 1);
+    const space = text.slice(overlapFrom, end).search(/\s/);
+    start = space >= 0 ? overlapFrom + space + 1 : end;
+  }
+
+  return chunks;
+};
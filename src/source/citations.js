@@ -0,0 +1,59 @@
+// --- SOURCE CITATIONS ---
+// The model cites retrieved chunks in its JSON block:
+//   "citations": [{ "n": 1, "source": "S2", "quote": "exact words from the source" }]
+// and marks the answer with [1], [2]... Each quote is located in the real
+// document so it can be highlighted; a quote that cannot be found is kept but
+// flagged `verified: false` — that is the "made up" signal.
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Exact match first, then a whitespace-insensitive match (PDF text wraps lines unpredictably).
+export const findQuote = (text, quote, from = 0) => {
+  const exact = text.indexOf(quote, from);
+  if (exact >= 0) return { start: exact, end: exact + quote.length };
+
+  const words = quote.trim().split(/\s+/).filter(Boolean);
+  if (!words.length) return null;
+  const pattern = new RegExp(words.map(escapeRegExp).join('\\s+'), 'g');
+  pattern.lastIndex = from;
+  const match = pattern.exec(text);
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+};
+
+// `retrieved` is the [{ chunk }] list that was sent as [S1], [S2]... in the prompt.
+export const resolveCitations = (rawCitations, retrieved, sources) => {
+  if (!Array.isArray(rawCitations)) return [];
+
+  return rawCitations
+    .filter(c => c && c.quote)
+    .map((c, i) => {
+      const n = Number(c.n) || i + 1;
+      const refIndex = parseInt(String(c.source || '').replace(/\D/g, ''), 10) - 1;
+      const chunk = retrieved[refIndex]?.chunk;
+      const quote = String(c.quote).trim();
+
+      // Look inside the cited chunk first, then anywhere in any document
+      const candidates = chunk
+        ? [sources.find(doc => doc.id === chunk.docId), ...sources.filter(doc => doc.id !== chunk.docId)]
+        : sources;
+      for (const doc of candidates.filter(Boolean)) {
+        const from = doc.id === chunk?.docId ? Math.max(0, chunk.start) : 0;
+        const span = findQuote(doc.text, quote, from) || (from > 0 ? findQuote(doc.text, quote) : null);
+        if (span) return { n, quote, docId: doc.id, docName: doc.name, ...span, verified: true };
+      }
+      return { n, quote, docId: chunk?.docId ?? null, docName: chunk?.docName ?? null, start: null, end: null, verified: false };
+    });
+};
+
+// Turn "[1]" markers into "#cite-1" links the markdown renderer can make clickable.
+export const linkCitationMarkers = (text, citations = []) => {
+  if (!citations.length) return text;
+  const known = new Set(citations.map(c => String(c.n)));
+  return text.replace(/\[(\d+)\](?!\()/g, (marker, n) => (known.has(n) ? `[${n}](#cite-${n})` : marker));
+};
+
+// Passages a node is grounded in: only the verified spans (the reducer drops duplicates).
+export const groundingPassages = (citations = []) =>
+  citations
+    .filter(c => c.verified)
+    .map(({ docId, docName, start, end, quote }) => ({ docId, docName, start, end, quote }));
@@ -0,0 +1,31 @@
+// --- FILE -> TEXT ---
+// Plain text, markdown and code files are read as-is; PDFs go through pdf.js
+// in the browser (loaded on demand so the main bundle stays small).
+
+export const newSourceId = () => `src-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const extractPdfText = async (file) => {
+  const pdfjs = await import('pdfjs-dist');
+  const { default: workerUrl } = await import('pdfjs-dist/build/pdf.worker.min.mjs?url');
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  const pages = [];
+  for (let i = 1; i <= pdf.numPages; i++) {
+    const page = await pdf.getPage(i);
+    const content = await page.getTextContent();
+    pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join(''));
+  }
+  return pages.join('\n\n');
+};
+
+export const extractFileText = async (file) => {
+  const isPdf = file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+  return {
+    id: newSourceId(),
+    name: file.name,
+    kind: isPdf ? 'pdf' : 'file',
+    text: isPdf ? await extractPdfText(file) : await file.text(),
+    addedAt: Date.now(),
+  };
+};
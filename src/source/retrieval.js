@@ -0,0 +1,28 @@
+import { chunkDocument } from './chunker';
+import { buildIndex, search } from './bm25';
+import { pickLanguage, EMPTY } from '../i18n';
+
+// --- SOURCE RETRIEVAL ---
+// Turns the session's source library into prompt context: the chunks most
+// relevant to the active branch of the stack and the learner's question.
+
+export const indexSources = (sources = []) => buildIndex(sources.flatMap(doc => chunkDocument(doc)));
+
+// Sessions saved before the library had a single `sourceText` string.
+// `pastedName` names that document (translated by the caller).
+export const migrateSources = (session, pastedName = 'Pasted text') => {
+  if (session.sources) return session.sources;
+  if (!session.sourceText) return [];
+  return [{ id: 'src-legacy', name: pastedName, kind: 'paste', text: session.sourceText, addedAt: session.createdAt || Date.now() }];
+};
+
+// The question matters most, so it is repeated to outweigh the stack topics.
+export const retrieveContext = (index, { question, pathTopics = [] }, k = 4) =>
+  search(index, [question, question, ...pathTopics].join(' '), k);
+
+export const formatChunksForPrompt = (results, language) => {
+  if (results.length === 0) return pickLanguage(EMPTY, language);
+  return results
+    .map(({ chunk }, i) => `[S${i + 1}] (${chunk.docName}, chars ${chunk.start}-${chunk.end})\n${chunk.text.trim()}`)
+    .join('\n\n');
+};
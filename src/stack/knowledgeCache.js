@@ -0,0 +1,23 @@
+import { pickLanguage, EMPTY } from '../i18n';
+
+// --- KNOWLEDGE CACHE ---
+// Every approved gate archives what the learner proved: the node, their own
+// synthesis and the examiner's feedback. Later prompts include the cache so the
+// agent builds on concepts the learner already owns instead of re-teaching them.
+
+export const makeCacheEntry = ({ child, parent, synthesis, feedback }) => ({
+  id: `c-${child.id}-${Date.now().toString(36)}`,
+  nodeId: child.id,
+  topic: child.topic,
+  parentTopic: parent?.topic ?? null,
+  synthesis,
+  feedback,
+  createdAt: Date.now(),
+});
+
+export const formatCacheForPrompt = (cache = [], language) => {
+  if (cache.length === 0) return pickLanguage(EMPTY, language);
+  return cache
+    .map(entry => `- [${entry.topic}]${entry.parentTopic ? ` → ${entry.parentTopic}` : ''}: ${entry.synthesis}`)
+    .join('\n');
+};
@@ -0,0 +1,197 @@
+import { toTreeOrder, normalizeStack } from './stackReducer';
+
+// --- STACK-DOC <-> JSON CONVERTER ---
+// The Stack-Doc agent keeps its state as a markdown document; the Action-First
+// agent keeps a JSON node tree. This module converts between the two.
+//
+// The visible markdown stays exactly what the Stack-Doc prompt describes, so a
+// model (or a human) can read and rewrite it. Whatever the markdown cannot
+// express (ids, feedback, timestamps...) rides along in `<!-- rl:{...} -->`
+// comments, which makes JSON -> doc -> JSON lossless. Docs written by a model
+// without those comments still parse; missing fields are derived.
+//
+//   # 🎯 Goal: Transformer
+//
+//   ## 🥞 Stack (递归栈)
+//   1. [Level 0] Transformer
+//   2. [Level 1] Self-Attention (Active)
+//
+//   ## 🧠 Cache (已归档知识)
+//   - [Level 2] Q matrix: projects each token into a query...
+
+const GOAL_PREFIX = '# 🎯 Goal:';
+const STACK_HEADING = '## 🥞 Stack (递归栈)';
+const CACHE_HEADING = '## 🧠 Cache (已归档知识)';
+const SOURCE_HEADING = '## 📄 Source';
+const MESSAGES_HEADING = '## 💬 Messages';
+const EMPTY_CACHE = '- (暂无归档)';
+
+const META_PATTERN = /\s*<!-- rl:(\{.*\}) -->\s*$/;
+const SOURCE_OPEN = /^<!-- rl:source( \{.*\})? -->$/;
+const SOURCE_CLOSE = '<!-- rl:/source -->';
+const MESSAGE_MARKER = /^<!-- rl:message (\{.*\}) -->$/;
+
+const meta = (data) => ` <!-- rl:${JSON.stringify(data)} -->`;
+
+// "text <!-- rl:{...} -->" -> { text, data }
+const splitMeta = (line) => {
+  const match = line.match(META_PATTERN);
+  if (!match) return { text: line.trim(), data: {} };
+  try {
+    return { text: line.replace(META_PATTERN, '').trim(), data: JSON.parse(match[1]) };
+  } catch {
+    return { text: line.replace(META_PATTERN, '').trim(), data: {} };
+  }
+};
+
+// --- JSON -> Doc ---
+
+// Core document: goal, stack and cache. This is what the Stack-Doc agent sees.
+// With { session: true } the source library and transcript are appended too (export).
+export const stackToDoc = ({ goal, stack = [], cache = [], sources = [], messages = [] }, { session = false } = {}) => {
+  const levels = Object.fromEntries(stack.map(n => [n.id, n.level]));
+
+  const stackLines = toTreeOrder(stack).map((node, idx) => {
+    const marker = node.status === 'Active' ? ' (Active)' : node.status === 'Done' ? ' (Done)' : '';
+    // Everything the list line can't show (id, grounding, summary...) goes into the metadata comment
+    const { topic, level, status, parentId, ...extra } = node;
+    return `${idx + 1}. [Level ${level}] ${topic}${marker}${meta(extra)}`;
+  });
+
+  const cacheLines = cache.length === 0 ? [EMPTY_CACHE] : cache.map(entry => {
+    const level = levels[entry.nodeId];
+    const prefix = level !== undefined ? `[Level ${level}] ` : '';
+    return `- ${prefix}${entry.topic}: ${String(entry.synthesis ?? '').replace(/\s*\n\s*/g, ' ')}${meta(entry)}`;
+  });
+
+  const parts = [
+    `${GOAL_PREFIX} ${goal}`,
+    '',
+    STACK_HEADING,
+    ...stackLines,
+    '',
+    CACHE_HEADING,
+    ...cacheLines,
+    '',
+  ];
+
+  if (session) {
+    parts.push(SOURCE_HEADING);
+    sources.forEach(({ text, ...rest }) => {
+      parts.push(`<!-- rl:source ${JSON.stringify(rest)} -->`, text, SOURCE_CLOSE, '');
+    });
+    parts.push(MESSAGES_HEADING);
+    messages.forEach(({ text, ...rest }) => {
+      parts.push(`<!-- rl:message ${JSON.stringify(rest)} -->`, text, '');
+    });
+  }
+
+  return parts.join('\n');
+};
+
+// --- Doc -> JSON ---
+
+// The JSON of a source / message marker, or null when it was mangled (a hand or model edit)
+const parseMarker = (json) => {
+  try {
+    const data = JSON.parse(json);
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+  } catch {
+    return null;
+  }
+};
+
+// `pastedName` names a source block whose marker carries no name (translated by the caller)
+export const docToStack = (doc = '', { pastedName = 'Pasted text' } = {}) => {
+  const lines = doc.split('\n');
+  let section = '';
+  let goal = '';
+  const rawStack = [];
+  const cache = [];
+  const sources = [];
+  const messages = [];
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+
+    // Source block and transcript are verbatim: no heading detection inside them
+    if (section === 'source-body') {
+      if (trimmed === SOURCE_CLOSE) section = 'source';
+      else sources[sources.length - 1].text.push(line);
+      continue;
+    }
+    if (section === 'messages') {
+      // A mangled marker starts no message: its line is skipped, the text after it joins the previous one
+      const marker = trimmed.match(MESSAGE_MARKER);
+      const data = marker && parseMarker(marker[1]);
+      if (data) messages.push({ ...data, text: [] });
+      else if (!marker && messages.length) messages[messages.length - 1].text.push(line);
+      continue;
+    }
+
+    if (line.startsWith('# 🎯')) goal = splitMeta(line.replace(GOAL_PREFIX, '').replace('# 🎯', '')).text;
+    else if (line.startsWith('## 🥞')) section = 'stack';
+    else if (line.startsWith('## 🧠')) section = 'cache';
+    else if (line.startsWith('## 📄')) section = 'source';
+    else if (line.startsWith('## 💬')) section = 'messages';
+    else if (section === 'source' && SOURCE_OPEN.test(trimmed)) {
+      // A mangled marker only loses the metadata (name, kind...): the text is kept
+      const data = trimmed.match(SOURCE_OPEN)[1];
+      sources.push({ id: `src-doc-${sources.length}`, name: pastedName, kind: 'paste', ...(data && parseMarker(data)), text: [] });
+      section = 'source-body';
+    }
+    else if (section === 'stack' && /^\d+\./.test(trimmed)) {
+      const { text, data } = splitMeta(trimmed.replace(/^\d+\.\s*/, ''));
+      const levelMatch = text.match(/^\[Level (\d+)\]\s*/);
+      let topic = levelMatch ? text.slice(levelMatch[0].length) : text;
+      let status = 'Waiting';
+      if (/\(Active\)$/.test(topic)) status = 'Active';
+      else if (/\(Done\)$/.test(topic)) status = 'Done';
+      topic = topic.replace(/\s*\((Active|Done)\)$/, '').trim();
+      rawStack.push({
+        ...data,
+        topic,
+        level: levelMatch ? parseInt(levelMatch[1]) : rawStack.length,
+        status,
+      });
+    } else if (section === 'cache' && trimmed.startsWith('-') && trimmed !== EMPTY_CACHE) {
+      const { text, data } = splitMeta(trimmed.replace(/^-\s*/, ''));
+      const body = text.replace(/^\[Level \d+\]\s*/, '');
+      const sep = body.indexOf(':');
+      cache.push({
+        id: `c-doc-${cache.length}`,
+        nodeId: null,
+        parentTopic: null,
+        feedback: null,
+        createdAt: null,
+        topic: sep >= 0 ? body.slice(0, sep).trim() : body,
+        synthesis: sep >= 0 ? body.slice(sep + 1).trim() : '',
+        ...data,
+      });
+    }
+  }
+
+  // Rebuild parent links from the depth-first order + levels, then fill in missing ids.
+  // Derived ids stay the same for the same doc (it is re-parsed on every render), but
+  // skip ids already in use: a line the model adds where a node was removed must not
+  // inherit the positional id a surviving node carries in its metadata.
+  const taken = new Set(rawStack.map(node => node.id).filter(Boolean));
+  const freeId = (base) => {
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+    taken.add(id);
+    return id;
+  };
+  const stack = normalizeStack(
+    rawStack.map((node, idx) => ({ ...node, id: node.id || freeId(idx === 0 ? 'root' : `doc-${idx}`) }))
+  );
+
+  return {
+    goal,
+    stack,
+    cache,
+    sources: sources.map(doc => ({ ...doc, text: doc.text.join('\n') })),
+    // Only the blank separator line stackToDoc writes after each message is dropped; the text stays verbatim
+    messages: messages.map(m => ({ ...m, text: (m.text.at(-1) === '' ? m.text.slice(0, -1) : m.text).join('\n') })),
+  };
+};
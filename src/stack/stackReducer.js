@@ -0,0 +1,283 @@
+// --- STACK REDUCER ---
+// The model only *proposes* an action; this pure reducer is the single place
+// where the learning tree actually changes. Every transition is validated
+// against the tree invariants, and a rejected transition leaves it untouched.
+//
+// The "stack" is a flat array of nodes { id, parentId, topic, level, status }
+// forming a tree. The path from the root to the Active node is the live
+// recursion stack; finished branches stay in the tree as `Done`.
+//
+// Tree invariants:
+//   1. ids are unique
+//   2. exactly one root (parentId null) at level 0
+//   3. every other node points at an existing parent and sits at parent.level + 1
+//   4. exactly one node is Active, and none of its ancestors is Done
+
+export const MODEL_ACTIONS = ['PUSH', 'PUSH_SIBLING', 'STAY', 'TRIGGER_GATE'];
+
+let idCounter = 0;
+export const makeNodeId = () => `n-${Date.now().toString(36)}-${(idCounter++).toString(36)}`;
+
+// --- Tree Queries ---
+
+export const getNode = (stack, id) => stack.find(n => n.id === id);
+
+export const getActive = (stack) => stack.find(n => n.status === 'Active');
+
+export const getParent = (stack, node) => (node?.parentId ? getNode(stack, node.parentId) : undefined);
+
+export const getChildren = (stack, id) => stack.filter(n => n.parentId === id);
+
+// Root -> node, inclusive. Stops at a parentId cycle (only an invalid,
+// e.g. imported, tree has one) instead of looping forever.
+export const getPath = (stack, id) => {
+  const path = [];
+  let node = getNode(stack, id);
+  while (node && !path.includes(node)) {
+    path.unshift(node);
+    node = getParent(stack, node);
+  }
+  return path;
+};
+
+// The node and all its descendants.
+export const getSubtreeIds = (stack, id) => {
+  const ids = new Set();
+  const visit = (nodeId) => {
+    if (ids.has(nodeId)) return;
+    ids.add(nodeId);
+    getChildren(stack, nodeId).forEach(child => visit(child.id));
+  };
+  visit(id);
+  return ids;
+};
+
+// Depth-first order, children in creation order: the order the tree is rendered in.
+export const toTreeOrder = (stack) => {
+  const ordered = [];
+  const visit = (node) => {
+    ordered.push(node);
+    getChildren(stack, node.id).forEach(visit);
+  };
+  stack.filter(n => !n.parentId).forEach(visit);
+  return ordered;
+};
+
+// The fields the model needs to see; summaries, grounding etc. are sent separately or not at all.
+export const toPromptStack = (stack) => stack.map(({ id, parentId, topic, level, status }) => ({ id, parentId, topic, level, status }));
+
+// Sessions saved before the tree model have no parentId: each node's parent is
+// the closest earlier node one level up.
+export const normalizeStack = (stack = []) =>
+  stack.map((node, idx) => {
+    if (node.parentId !== undefined) return node;
+    const parent = stack.slice(0, idx).reverse().find(n => n.level === node.level - 1);
+    return { ...node, parentId: parent ? parent.id : null };
+  });
+
+export const validateStack = (stack) => {
+  const errors = [];
+  if (!Array.isArray(stack) || stack.length === 0) return ['Stack is empty'];
+
+  const ids = new Set();
+  stack.forEach((node, idx) => {
+    if (!node.id) errors.push(`Node #${idx} has no id`);
+    else if (ids.has(node.id)) errors.push(`Duplicate id "${node.id}"`);
+    ids.add(node.id);
+    if (!node.topic || !String(node.topic).trim()) errors.push(`Node #${idx} has an empty topic`);
+  });
+
+  const roots = stack.filter(n => !n.parentId);
+  if (roots.length !== 1) errors.push(`Expected exactly one root, found ${roots.length}`);
+  roots.forEach(root => {
+    if (root.level !== 0) errors.push(`Root "${root.topic}" must be at level 0`);
+  });
+
+  stack.filter(n => n.parentId).forEach(node => {
+    const parent = getNode(stack, node.parentId);
+    if (!parent) errors.push(`"${node.topic}" points at missing parent "${node.parentId}"`);
+    else if (node.level !== parent.level + 1) {
+      errors.push(`"${node.topic}" is at level ${node.level}, expected ${parent.level + 1}`);
+    }
+  });
+
+  const active = stack.filter(n => n.status === 'Active');
+  if (active.length !== 1) errors.push(`Expected exactly one Active node, found ${active.length}`);
+  else if (getPath(stack, active[0].id).some(n => n.status === 'Done')) {
+    errors.push(`An ancestor of the Active node "${active[0].topic}" is Done`);
+  }
+
+  return errors;
+};
+
+const reject = (stack, error) => ({ stack, error });
+
+const hasSiblingTopic = (stack, parentId, topic, exceptId) =>
+  getChildren(stack, parentId).some(n => n.id !== exceptId && n.topic.toLowerCase() === topic.toLowerCase());
+
+const commit = (prev, next) => {
+  const errors = validateStack(next);
+  return errors.length ? reject(prev, errors.join('; ')) : { stack: next, error: null };
+};
+
+// Make `id` the Active node. Everything else that was Active goes back to
+// Waiting, and Done ancestors on the new path are reopened.
+const activate = (stack, id) => {
+  const pathIds = new Set(getPath(stack, id).map(n => n.id));
+  return stack.map(n => {
+    if (n.id === id) return { ...n, status: 'Active' };
+    if (n.status === 'Active') return { ...n, status: 'Waiting' };
+    if (pathIds.has(n.id) && n.status === 'Done') return { ...n, status: 'Waiting' };
+    return n;
+  });
+};
+
+// Actions:
+//   { type: 'INIT', id, topic }                 new tree with a single Active root
+//   { type: 'PUSH', id, topic, parentId? }      new child (of the Active node by default) becomes Active;
+//                                               pushing a planned (roadmap) topic below that parent enters it instead
+//   { type: 'PUSH_SIBLING', id, topic }         new sibling of the Active node becomes Active
+//   { type: 'STAY' }                            no change
+//   { type: 'TRIGGER_GATE' }                    no change (the gate itself performs the POP)
+//   { type: 'POP', id }                         the gated node is marked Done; its parent becomes Active
+//   { type: 'ACTIVATE', id }                    jump back into any branch
+//   { type: 'GROUND', id, passages }            remember the source passages a node was explained from
+//   { type: 'SUMMARIZE', id, summary }          store the rolling summary { text, covered } of a node's thread
+//   { type: 'RECORD_GATE', id, entry }          append one graded gate answer to the node's gateHistory
+// Manual edits:
+//   { type: 'ADD', id, topic, parentId, afterId?, plan? } new Waiting child of parentId (placed after afterId);
+//                                               `plan` ({ order, difficulty }) marks a roadmap topic
+//   { type: 'RENAME', id, topic }               rename a node
+//   { type: 'MOVE', id, parentId, beforeId? }   re-parent / reorder a subtree (before sibling beforeId, else last)
+//   { type: 'DELETE', id }                      remove a subtree; if it held the Active node, its parent takes over
+export const stackReducer = (stack, action) => {
+  switch (action?.type) {
+    case 'INIT':
+      return commit(stack, [{ id: action.id, parentId: null, topic: action.topic, level: 0, status: 'Active' }]);
+
+    case 'PUSH':
+    case 'PUSH_SIBLING': {
+      const topic = String(action.topic || '').trim();
+      if (!topic) return reject(stack, `${action.type} requires a topic`);
+
+      const active = getActive(stack);
+      const parentId = action.type === 'PUSH_SIBLING' ? active?.parentId : (action.parentId ?? active?.id);
+      const parent = getNode(stack, parentId);
+      if (!parent) return reject(stack, action.type === 'PUSH_SIBLING' ? 'The root goal has no siblings' : 'No parent to push under');
+      // A planned roadmap topic anywhere below the parent is entered instead of duplicated
+      const below = getSubtreeIds(stack, parent.id);
+      const planned = stack.find(n => n.plan && n.status === 'Waiting' && below.has(n.id) && n.topic.toLowerCase() === topic.toLowerCase());
+      if (planned) return commit(stack, activate(stack, planned.id));
+      if (hasSiblingTopic(stack, parent.id, topic)) return reject(stack, `"${topic}" already exists under "${parent.topic}"`);
+
+      const node = { id: action.id, parentId: parent.id, topic, level: parent.level + 1, status: 'Waiting' };
+      return commit(stack, activate([...stack, node], node.id));
+    }
+
+    case 'STAY':
+    case 'TRIGGER_GATE':
+      return { stack, error: null };
+
+    case 'POP': {
+      const node = getNode(stack, action.id);
+      if (!node) return reject(stack, `Unknown node "${action.id}"`);
+      if (node.status !== 'Active') return reject(stack, `Only the Active node can be popped, not "${node.topic}"`);
+      if (!node.parentId) return reject(stack, 'Cannot pop the root goal');
+      const next = stack.map(n => {
+        if (n.id === node.id) return { ...n, status: 'Done' };
+        if (n.id === node.parentId) return { ...n, status: 'Active' };
+        return n;
+      });
+      return commit(stack, next);
+    }
+
+    case 'ACTIVATE':
+      if (!getNode(stack, action.id)) return reject(stack, `Unknown node "${action.id}"`);
+      return commit(stack, activate(stack, action.id));
+
+    case 'GROUND': {
+      const node = getNode(stack, action.id);
+      if (!node) return reject(stack, `Unknown node "${action.id}"`);
+      const key = p => `${p.docId}:${p.start}-${p.end}`;
+      const existing = node.grounding || [];
+      const seen = new Set(existing.map(key));
+      const added = (action.passages || []).filter(p => !seen.has(key(p)));
+      if (added.length === 0) return { stack, error: null };
+      return commit(stack, stack.map(n => (n.id === node.id ? { ...n, grounding: [...existing, ...added] } : n)));
+    }
+
+    case 'SUMMARIZE':
+      if (!getNode(stack, action.id)) return reject(stack, `Unknown node "${action.id}"`);
+      return commit(stack, stack.map(n => (n.id === action.id ? { ...n, summary: action.summary } : n)));
+
+    case 'RECORD_GATE':
+      if (!getNode(stack, action.id)) return reject(stack, `Unknown node "${action.id}"`);
+      return commit(stack, stack.map(n => (n.id === action.id ? { ...n, gateHistory: [...(n.gateHistory || []), action.entry] } : n)));
+
+    case 'ADD': {
+      const topic = String(action.topic || '').trim();
+      if (!topic) return reject(stack, 'ADD requires a topic');
+      const parent = getNode(stack, action.parentId);
+      if (!parent) return reject(stack, `Unknown parent "${action.parentId}"`);
+      if (hasSiblingTopic(stack, parent.id, topic)) return reject(stack, `"${topic}" already exists under "${parent.topic}"`);
+
+      const node = { id: action.id, parentId: parent.id, topic, level: parent.level + 1, status: 'Waiting', ...(action.plan && { plan: action.plan }) };
+      const at = stack.findIndex(n => n.id === action.afterId);
+      return commit(stack, at >= 0 ? [...stack.slice(0, at + 1), node, ...stack.slice(at + 1)] : [...stack, node]);
+    }
+
+    case 'RENAME': {
+      const node = getNode(stack, action.id);
+      const topic = String(action.topic || '').trim();
+      if (!node) return reject(stack, `Unknown node "${action.id}"`);
+      if (!topic) return reject(stack, 'RENAME requires a topic');
+      if (node.parentId && hasSiblingTopic(stack, node.parentId, topic, node.id)) {
+        return reject(stack, `"${topic}" already exists next to it`);
+      }
+      return commit(stack, stack.map(n => (n.id === node.id ? { ...n, topic } : n)));
+    }
+
+    case 'MOVE': {
+      const node = getNode(stack, action.id);
+      const parent = getNode(stack, action.parentId);
+      if (!node) return reject(stack, `Unknown node "${action.id}"`);
+      if (!node.parentId) return reject(stack, 'The root goal cannot be moved');
+      if (!parent) return reject(stack, `Unknown parent "${action.parentId}"`);
+      const subtree = getSubtreeIds(stack, node.id);
+      if (subtree.has(parent.id)) return reject(stack, `Cannot move "${node.topic}" into its own branch`);
+      if (hasSiblingTopic(stack, parent.id, node.topic, node.id)) return reject(stack, `"${node.topic}" already exists under "${parent.topic}"`);
+
+      // The whole subtree shifts by the same number of levels
+      const delta = parent.level + 1 - node.level;
+      const moved = stack.map(n => {
+        if (n.id === node.id) return { ...n, parentId: parent.id, level: n.level + delta };
+        return subtree.has(n.id) ? { ...n, level: n.level + delta } : n;
+      });
+      // Sibling order is array order: take the node out and re-insert it before `beforeId` (or at the end)
+      const rest = moved.filter(n => n.id !== node.id);
+      const at = action.beforeId && action.beforeId !== node.id ? rest.findIndex(n => n.id === action.beforeId) : -1;
+      const movedNode = getNode(moved, node.id);
+      return commit(stack, at >= 0 ? [...rest.slice(0, at), movedNode, ...rest.slice(at)] : [...rest, movedNode]);
+    }
+
+    case 'DELETE': {
+      const node = getNode(stack, action.id);
+      if (!node) return reject(stack, `Unknown node "${action.id}"`);
+      if (!node.parentId) return reject(stack, 'The root goal cannot be deleted');
+      const subtree = getSubtreeIds(stack, node.id);
+      const remaining = stack.filter(n => !subtree.has(n.id));
+      const heldActive = stack.some(n => subtree.has(n.id) && n.status === 'Active');
+      return commit(stack, heldActive ? activate(remaining, node.parentId) : remaining);
+    }
+
+    default:
+      return reject(stack, `Unknown action "${action?.type}"`);
+  }
+};
+
+// Turn the model's JSON block into a reducer action.
+export const actionFromModel = (actionData, id = makeNodeId()) => {
+  const type = String(actionData?.action || '').toUpperCase();
+  if (!MODEL_ACTIONS.includes(type)) return { type };
+  return type.startsWith('PUSH') ? { type, id, topic: actionData.topic } : { type };
+};
@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { getNode, makeNodeId } from './stackReducer';
+import { useI18n } from '../i18n';
+
+// --- MANUAL STACK EDITING ---
+// Shared by both agents' stack views. Every edit is expressed as a reducer
+// action and handed to `applyAction(action, description)`, which runs it
+// through `stackReducer` — the same validation the model's proposals get.
+
+// Dropping on the top part of a row places the dragged node before it; anywhere else nests it inside.
+const BEFORE_ZONE = 0.35;
+
+export const useStackEditor = (stack, applyAction) => {
+  const { t } = useI18n();
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [dragId, setDragId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { id, position: 'before' | 'inside' }
+
+  // --- Rename (inline) ---
+  const startRename = (node) => {
+    setEditingId(node.id);
+    setDraft(node.topic);
+  };
+
+  const commitRename = () => {
+    const node = getNode(stack, editingId);
+    setEditingId(null);
+    if (!node || !draft.trim() || draft.trim() === node.topic) return;
+    applyAction({ type: 'RENAME', id: node.id, topic: draft }, t('system.renamed', { from: node.topic, to: draft.trim() }));
+  };
+
+  const renameInputProps = {
+    value: draft,
+    autoFocus: true,
+    onChange: e => setDraft(e.target.value),
+    onBlur: commitRename,
+    onClick: e => e.stopPropagation(),
+    onKeyDown: e => {
+      if (e.key === 'Enter') commitRename();
+      if (e.key === 'Escape') setEditingId(null);
+    },
+  };
+
+  // --- Add / Delete / Activate ---
+  const addChild = (node) => {
+    const topic = prompt(t('editor.promptChild', { topic: node.topic }));
+    if (!topic?.trim()) return;
+    applyAction({ type: 'ADD', id: makeNodeId(), parentId: node.id, topic }, t('system.addedChild', { topic: topic.trim(), parent: node.topic }));
+  };
+
+  const addSibling = (node) => {
+    const topic = prompt(t('editor.promptSibling', { topic: node.topic }));
+    if (!topic?.trim()) return;
+    applyAction({ type: 'ADD', id: makeNodeId(), parentId: node.parentId, afterId: node.id, topic }, t('system.addedSibling', { topic: topic.trim() }));
+  };
+
+  const remove = (node) => {
+    if (!confirm(t('editor.confirmDelete', { topic: node.topic }))) return;
+    applyAction({ type: 'DELETE', id: node.id }, t('system.deleted', { topic: node.topic }));
+  };
+
+  const activate = (node) => {
+    applyAction({ type: 'ACTIVATE', id: node.id }, t('system.activated', { topic: node.topic }));
+  };
+
+  // --- Drag to reorder / re-parent ---
+  const dropPosition = (e, node) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    return node.parentId && e.clientY - box.top < box.height * BEFORE_ZONE ? 'before' : 'inside';
+  };
+
+  const dragProps = (node) => ({
+    draggable: !!node.parentId && editingId !== node.id,
+    onDragStart: e => {
+      e.dataTransfer.effectAllowed = 'move';
+      setDragId(node.id);
+    },
+    onDragOver: e => {
+      if (!dragId || dragId === node.id) return;
+      e.preventDefault();
+      const position = dropPosition(e, node);
+      if (dropTarget?.id !== node.id || dropTarget.position !== position) setDropTarget({ id: node.id, position });
+    },
+    onDragLeave: () => setDropTarget(null),
+    onDrop: e => {
+      e.preventDefault();
+      const dragged = getNode(stack, dragId);
+      const position = dropPosition(e, node);
+      setDragId(null);
+      setDropTarget(null);
+      if (!dragged || dragged.id === node.id) return;
+      if (position === 'before') {
+        applyAction({ type: 'MOVE', id: dragged.id, parentId: node.parentId, beforeId: node.id }, t('system.movedBefore', { topic: dragged.topic, target: node.topic }));
+      } else {
+        applyAction({ type: 'MOVE', id: dragged.id, parentId: node.id }, t('system.movedInto', { topic: dragged.topic, target: node.topic }));
+      }
+    },
+    onDragEnd: () => {
+      setDragId(null);
+      setDropTarget(null);
+    },
+  });
+
+  // 'before' | 'inside' while something is dragged over `node`
+  const dropHint = (node) => (dropTarget?.id === node.id ? dropTarget.position : null);
+
+  return { editingId, startRename, renameInputProps, addChild, addSibling, remove, activate, dragProps, dropHint, isDragging: !!dragId };
+};
@@ -0,0 +1,35 @@
+// --- LEARNING EVENT LOG (localStorage) ---
+// One append-only log shared by all sessions, so the analytics dashboard can
+// compare sessions without loading every conversation. Events are small
+// ({ type, sessionId, at, ...fields }, see analytics/metrics.js); the oldest
+// are dropped once the log is full.
+
+const LOG_KEY = 'rl.analytics.events';
+const MAX_EVENTS = 5000;
+
+const readLog = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LOG_KEY) || '[]');
+  } catch (e) {
+    console.error('Event log read failed', e);
+    return [];
+  }
+};
+
+const writeLog = (events) => {
+  try {
+    localStorage.setItem(LOG_KEY, JSON.stringify(events));
+  } catch (e) {
+    console.error('Event log write failed', e);
+  }
+};
+
+export const listEvents = () => readLog();
+
+export const logEvent = (event) => {
+  writeLog([...readLog(), event].slice(-MAX_EVENTS));
+};
+
+export const removeSessionEvents = (sessionId) => {
+  writeLog(readLog().filter(e => e.sessionId !== sessionId));
+};
@@ -0,0 +1,43 @@
+// --- REVIEW DECK (localStorage) ---
+// One deck shared by all sessions, so the start screen can show a single
+// due-today queue across every learning goal.
+
+const DECK_KEY = 'rl.review.cards';
+
+const readDeck = () => {
+  try {
+    return JSON.parse(localStorage.getItem(DECK_KEY) || '[]');
+  } catch (e) {
+    console.error('Review deck read failed', e);
+    return [];
+  }
+};
+
+const writeDeck = (cards) => {
+  try {
+    localStorage.setItem(DECK_KEY, JSON.stringify(cards));
+  } catch (e) {
+    console.error('Review deck write failed', e);
+  }
+};
+
+export const listCards = () => readDeck();
+
+// A node that is gated again (after a revisit) refreshes its synthesis but keeps its schedule.
+export const addCard = (card) => {
+  const deck = readDeck();
+  const existing = deck.find(c => c.id === card.id);
+  if (existing) {
+    writeDeck(deck.map(c => (c.id === card.id ? { ...c, topic: card.topic, parentTopic: card.parentTopic, synthesis: card.synthesis } : c)));
+  } else {
+    writeDeck([...deck, card]);
+  }
+};
+
+export const updateCard = (card) => {
+  writeDeck(readDeck().map(c => (c.id === card.id ? card : c)));
+};
+
+export const removeSessionCards = (sessionId) => {
+  writeDeck(readDeck().filter(c => c.sessionId !== sessionId));
+};
@@ -0,0 +1,65 @@
+import { stackToDoc, docToStack } from '../stack/stackDoc';
+import { normalizeStack, validateStack } from '../stack/stackReducer';
+import { migrateSources } from '../source/retrieval';
+
+// --- SESSION EXPORT / IMPORT ---
+// A session travels either as JSON (exact) or as Stack-Doc markdown (readable,
+// diff-friendly for a notes repo, and still lossless thanks to rl: comments).
+// Both protocol modes read both formats, so work can move between them.
+
+const FORMAT = 'recursive-learning-session';
+const VERSION = 1;
+
+const pickSession = (session, pastedName) => ({
+  title: session.title || session.goal,
+  goal: session.goal,
+  mode: session.mode,
+  stack: session.stack || [],
+  cache: session.cache || [],
+  messages: session.messages || [],
+  sources: migrateSources(session, pastedName),
+});
+
+export const exportSessionJSON = (session) =>
+  JSON.stringify({ format: FORMAT, version: VERSION, exportedAt: new Date().toISOString(), session: pickSession(session) }, null, 2);
+
+export const exportSessionMarkdown = (session) => stackToDoc(pickSession(session), { session: true });
+
+// A tree that breaks the invariants would make the reducer reject every action
+const checkStack = (stack) => {
+  const errors = validateStack(stack);
+  if (errors.length) throw new Error(`Invalid learning tree: ${errors.join('; ')}`);
+  return stack;
+};
+
+// Accepts either export format; throws on anything else, including a broken tree.
+// `pastedName` names a pasted source that has no name of its own (translated by the caller).
+export const importSession = (text, { pastedName } = {}) => {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    if (data.format !== FORMAT || !data.session) throw new Error('Not a recursive-learning session file');
+    if (!Array.isArray(data.session.stack)) throw new Error('Not a recursive-learning session file: missing stack');
+    return pickSession({ ...data.session, stack: checkStack(normalizeStack(data.session.stack)) }, pastedName);
+  }
+
+  // The untrimmed text: the transcript's last message keeps its own whitespace
+  const parsed = docToStack(text, { pastedName });
+  if (!parsed.goal || parsed.stack.length === 0) throw new Error('Not a Stack-Doc: missing goal or stack');
+  checkStack(parsed.stack);
+  return pickSession(parsed, pastedName);
+};
+
+const slugify = (text) => String(text || 'session').replace(/[^\w一-龥-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'session';
+
+export const sessionFileName = (session, ext) => `${slugify(session.title || session.goal)}.${ext}`;
+
+export const downloadFile = (filename, text, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,95 @@
+// --- SESSION LIBRARY (localStorage) ---
+// The index key holds lightweight summaries for the start screen;
+// each full session (stack, messages, source...) lives under its own key
+// so listing the library never parses every conversation.
+
+const INDEX_KEY = 'rl.sessions.index';
+const sessionKey = (id) => `rl.session.${id}`;
+
+const readJSON = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    console.error('Session storage read failed', key, e);
+    return fallback;
+  }
+};
+
+// Thrown by every writer below when localStorage is out of room (a few MB, and
+// source documents are stored in full), so the UI can say the change was not
+// saved instead of losing it silently.
+export class StorageFullError extends Error {
+  constructor(key, cause) {
+    super(`Browser storage is full, could not save ${key}`, { cause });
+    this.name = 'StorageFullError';
+  }
+}
+
+const isQuotaError = (e) => e?.name === 'QuotaExceededError' || e?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e?.code === 22;
+
+const writeJSON = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    if (isQuotaError(e)) throw new StorageFullError(key, e);
+    console.error('Session storage write failed', key, e);
+  }
+};
+
+const summarize = (session) => ({
+  id: session.id,
+  title: session.title,
+  goal: session.goal,
+  mode: session.mode,
+  depth: session.stack?.length ? Math.max(...session.stack.map(n => n.level)) : 0,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt,
+});
+
+export const newSessionId = () => `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+export const listSessions = () =>
+  readJSON(INDEX_KEY, []).sort((a, b) => b.updatedAt - a.updatedAt);
+
+export const loadSession = (id) => readJSON(sessionKey(id), null);
+
+export const saveSession = (session) => {
+  const saved = { ...session, updatedAt: Date.now() };
+  writeJSON(sessionKey(saved.id), saved);
+  const index = readJSON(INDEX_KEY, []).filter(s => s.id !== saved.id);
+  writeJSON(INDEX_KEY, [summarize(saved), ...index]);
+  return saved;
+};
+
+export const createSession = (fields) => {
+  const now = Date.now();
+  return saveSession({
+    id: newSessionId(),
+    title: fields.goal,
+    stack: [],
+    cache: [],
+    messages: [],
+    sources: [],
+    createdAt: now,
+    ...fields,
+  });
+};
+
+export const renameSession = (id, title) => {
+  const session = loadSession(id);
+  if (!session) return null;
+  return saveSession({ ...session, title });
+};
+
+// `copyTitle(title)` names the copy (translated by the caller)
+export const duplicateSession = (id, copyTitle = title => `${title} (copy)`) => {
+  const session = loadSession(id);
+  if (!session) return null;
+  return saveSession({ ...session, id: newSessionId(), title: copyTitle(session.title), createdAt: Date.now() });
+};
+
+export const deleteSession = (id) => {
+  localStorage.removeItem(sessionKey(id));
+  writeJSON(INDEX_KEY, readJSON(INDEX_KEY, []).filter(s => s.id !== id));
+};
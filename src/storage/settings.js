@@ -0,0 +1,31 @@
+// --- APP SETTINGS (localStorage) ---
+// Preferences that apply to every session.
+
+import { detectLanguage } from '../i18n';
+
+const SETTINGS_KEY = 'rl.settings';
+
+export const DEFAULT_SETTINGS = {
+  historyBudget: 1500, // tokens of conversation memory per prompt
+  promptBudget: 8000, // tokens per chat prompt; over it, stack, sources and memory are trimmed
+  gateMode: 'auto', // what a TRIGGER_GATE does: 'auto' opens the gate, 'ask' offers it, 'off' only posts a hint
+  uiLanguage: detectLanguage(), // labels and app messages
+  learningLanguage: detectLanguage(), // language of every prompt, so of explanations, gate questions and summaries
+  planRoadmap: false, // draft a prerequisite roadmap before a new session starts
+};
+
+export const loadSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+export const saveSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.error('Settings write failed', e);
+  }
+};
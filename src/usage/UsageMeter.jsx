@@ -0,0 +1,32 @@
+import React from 'react';
+import { Gauge } from 'lucide-react';
+import { useI18n } from '../i18n';
+import { formatTokens, formatCost } from './usage';
+
+// Header chip: the session's total tokens and estimated cost. The tooltip has
+// the breakdown and how the last prompt fared against the prompt budget; the
+// chip turns amber when that prompt had to be trimmed or is still over budget.
+export default function UsageMeter({ usage, lastPrompt, budget }) {
+  const { t } = useI18n();
+  const strained = lastPrompt && (lastPrompt.trimmed.length > 0 || lastPrompt.over);
+
+  const details = [
+    t('usage.calls', { n: usage.calls }),
+    t('usage.split', { prompt: formatTokens(usage.promptTokens), output: formatTokens(usage.outputTokens) }),
+    usage.estimated > 0 && t('usage.estimated', { n: usage.estimated }),
+    usage.unpriced > 0 && t('usage.unpriced', { n: usage.unpriced }),
+    lastPrompt && t('usage.lastPrompt', { tokens: formatTokens(lastPrompt.tokens), budget: formatTokens(budget) }),
+    lastPrompt?.trimmed.length > 0 && t('usage.trimmed', {
+      from: formatTokens(lastPrompt.initialTokens),
+      steps: lastPrompt.trimmed.map(step => t(`usage.steps.${step}`)).join(', '),
+    }),
+    lastPrompt?.over && t('usage.over'),
+  ].filter(Boolean);
+
+  return (
+    <span className={`usage-meter ${strained ? 'strained' : ''}`} title={details.join('\n')}>
+      <Gauge size={12} />
+      {t('usage.total', { tokens: formatTokens(usage.promptTokens + usage.outputTokens) })} · {formatCost(usage)}
+    </span>
+  );
+}
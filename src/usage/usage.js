@@ -0,0 +1,74 @@
+// --- TOKEN USAGE & COST ---
+// Every model call of a session is metered (see `onUsage` in llm/providers):
+// its token counts are priced per provider / model and folded into running
+// totals, which are saved with the session as `session.usage`:
+//   { calls, promptTokens, outputTokens, cost, unpriced, estimated, recent }
+// `cost` is USD over the priced calls, `unpriced` counts calls of models with
+// no known price, `estimated` those whose tokens were estimated rather than
+// reported, and `recent` keeps the last calls' records.
+
+export const MAX_RECENT = 20;
+
+export const EMPTY_USAGE = { calls: 0, promptTokens: 0, outputTokens: 0, cost: 0, unpriced: 0, estimated: 0, recent: [] };
+
+// USD per million tokens [input, output]; the first matching model prefix wins.
+// List prices at the time of writing, meant for an estimate, not a bill.
+const PRICES = [
+  ['gemini-2.5-pro', 1.25, 10],
+  ['gemini-2.5-flash-lite', 0.1, 0.4],
+  ['gemini-2.5-flash', 0.3, 2.5],
+  ['gemini-2.0-flash-lite', 0.075, 0.3],
+  ['gemini-2.0-flash', 0.1, 0.4],
+  ['gemini-1.5-pro', 1.25, 5],
+  ['gemini-1.5-flash', 0.075, 0.3],
+  ['gpt-4.1-nano', 0.1, 0.4],
+  ['gpt-4.1-mini', 0.4, 1.6],
+  ['gpt-4.1', 2, 8],
+  ['gpt-4o-mini', 0.15, 0.6],
+  ['gpt-4o', 2.5, 10],
+  ['o4-mini', 1.1, 4.4],
+];
+
+const LOCAL_HOST = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:|\/|$)/;
+
+// { input, output } in USD per million tokens, or null when unknown.
+// The mock and OpenAI-compatible servers on this machine (Ollama, llama.cpp) cost nothing.
+export const priceOf = (config, model = config.model) => {
+  if (config.provider === 'mock') return { input: 0, output: 0 };
+  const match = PRICES.find(([prefix]) => String(model || '').toLowerCase().startsWith(prefix));
+  if (match) return { input: match[1], output: match[2] };
+  if (config.provider === 'openai' && !config.proxy && LOCAL_HOST.test(config.baseUrl || '')) return { input: 0, output: 0 };
+  return null;
+};
+
+// The provider's usage report with its cost (null when the model has no known price)
+export const priceCall = (config, call) => {
+  const price = priceOf(config, call.model);
+  const cost = price ? (call.promptTokens * price.input + call.outputTokens * price.output) / 1e6 : null;
+  return { ...call, cost };
+};
+
+export const addUsage = (usage, call) => ({
+  calls: usage.calls + 1,
+  promptTokens: usage.promptTokens + call.promptTokens,
+  outputTokens: usage.outputTokens + call.outputTokens,
+  cost: usage.cost + (call.cost ?? 0),
+  unpriced: usage.unpriced + (call.cost === null ? 1 : 0),
+  estimated: usage.estimated + (call.estimated ? 1 : 0),
+  recent: [...usage.recent, call].slice(-MAX_RECENT),
+});
+
+// --- Formatting ---
+
+export const formatTokens = (n) => {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1000) return `${(n / 1000).toFixed(1)}k`;
+  return String(n);
+};
+
+// "—" when nothing could be priced, "+" when some calls could not
+export const formatCost = ({ cost, calls, unpriced }) => {
+  if (calls > 0 && unpriced === calls) return '—';
+  const amount = cost === 0 ? '$0' : cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+  return unpriced > 0 ? `${amount}+` : amount;
+};
@@ -0,0 +1,50 @@
+import { useState, useEffect, useMemo } from 'react';
+import { loadSession, saveSession, StorageFullError } from '../storage/sessions';
+import { EMPTY_USAGE, addUsage, priceCall } from './usage';
+
+// --- USAGE METER ---
+// A workspace passes `config` (its provider config with metering attached) to
+// every model call it makes, including the gate and summaries; the session's
+// running totals are kept in `usage` and saved with the session. `notePrompt`
+// records how the last chat prompt fared against the prompt budget:
+//   { tokens, initialTokens, trimmed: [step ids], over }
+// Without a `sessionId` (the roadmap, drafted before its session exists) the
+// totals are only kept in `usage`, for the caller to store with the new session.
+export const useUsageMeter = (sessionId, providerConfig) => {
+  const [usage, setUsage] = useState(() => ({ ...EMPTY_USAGE, ...(sessionId && loadSession(sessionId)?.usage) }));
+  const [lastPrompt, setLastPrompt] = useState(null);
+
+  const config = useMemo(() => ({
+    ...providerConfig,
+    onUsage: call => setUsage(prev => addUsage(prev, priceCall(providerConfig, call))),
+  }), [providerConfig]);
+
+  useEffect(() => {
+    if (!sessionId) return;
+    const session = loadSession(sessionId);
+    if (!session || session.usage?.calls === usage.calls) return;
+    try {
+      saveSession({ ...session, usage });
+    } catch (e) {
+      // The workspace's own auto-save reports a full storage
+      if (!(e instanceof StorageFullError)) throw e;
+    }
+  }, [sessionId, usage]);
+
+  return { config, usage, lastPrompt, notePrompt: setLastPrompt };
+};
+
+// Provider config for calls made outside the session's workspace (review grading):
+// each call is added to the stored session's totals as it comes in.
+export const meteredFor = (sessionId, providerConfig) => ({
+  ...providerConfig,
+  onUsage: call => {
+    const session = loadSession(sessionId);
+    if (!session) return;
+    try {
+      saveSession({ ...session, usage: addUsage({ ...EMPTY_USAGE, ...session.usage }, priceCall(providerConfig, call)) });
+    } catch (e) {
+      if (!(e instanceof StorageFullError)) throw e;
+    }
+  },
+});
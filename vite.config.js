@@ -1,10 +1,21 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createLLMProxy } from './server/llmProxy.mjs';
 
-export default defineConfig({
-  plugins: [react()],
+// Serves the LLM proxy (/api/llm, see server/llmProxy.mjs) from the dev and
+// preview servers, with keys read from .env / .env.local
+const llmProxy = (env) => {
+  const proxy = createLLMProxy({ env });
+  return {
+    name: 'llm-proxy',
+    configureServer: server => { server.middlewares.use(proxy); },
+    configurePreviewServer: server => { server.middlewares.use(proxy); },
+  };
+};
+
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), llmProxy(loadEnv(mode, process.cwd(), ''))],
   server: {
     port: 5173,
   },
-});
-
+}));